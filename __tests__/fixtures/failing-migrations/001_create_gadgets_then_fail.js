@@ -0,0 +1,11 @@
+exports.up = (client) => {
+  return client
+    .query(`CREATE TABLE migrate_test_gadgets (gadget_id SERIAL PRIMARY KEY);`)
+    .then(() => {
+      return client.query(`SELECT * FROM table_that_does_not_exist;`);
+    });
+};
+
+exports.down = (client) => {
+  return client.query(`DROP TABLE migrate_test_gadgets;`);
+};
@@ -0,0 +1,9 @@
+exports.up = (client) => {
+  return client.query(
+    `CREATE TABLE migrate_test_widgets (widget_id SERIAL PRIMARY KEY);`
+  );
+};
+
+exports.down = (client) => {
+  return client.query(`DROP TABLE migrate_test_widgets;`);
+};
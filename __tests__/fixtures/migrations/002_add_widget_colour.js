@@ -0,0 +1,9 @@
+exports.up = (client) => {
+  return client.query(
+    `ALTER TABLE migrate_test_widgets ADD COLUMN colour VARCHAR;`
+  );
+};
+
+exports.down = (client) => {
+  return client.query(`ALTER TABLE migrate_test_widgets DROP COLUMN colour;`);
+};
@@ -0,0 +1,129 @@
+const path = require("path");
+const db = require("../db/connection.js");
+const { migrateUp, migrateDown, migrationStatus } = require("../db/migrate.js");
+
+const options = {
+  dir: path.join(__dirname, "fixtures", "migrations"),
+  table: "test_schema_migrations",
+};
+
+const tableColumns = (table) => {
+  return db
+    .query(
+      `SELECT column_name FROM information_schema.columns
+      WHERE table_name = $1 ORDER BY ordinal_position;`,
+      [table]
+    )
+    .then(({ rows }) => rows.map(({ column_name }) => column_name));
+};
+
+const dropTestTables = () => {
+  return db.query(`
+    DROP TABLE IF EXISTS migrate_test_widgets;
+    DROP TABLE IF EXISTS migrate_test_gadgets;
+    DROP TABLE IF EXISTS test_schema_migrations;
+  `);
+};
+
+beforeEach(() => {
+  return dropTestTables();
+});
+
+afterAll(() => {
+  return dropTestTables().then(() => db.end());
+});
+
+describe("migrateUp", () => {
+  test("applies pending migrations in filename order and returns their names", () => {
+    return migrateUp(options)
+      .then((applied) => {
+        expect(applied).toEqual([
+          "001_create_widgets",
+          "002_add_widget_colour",
+        ]);
+        return tableColumns("migrate_test_widgets");
+      })
+      .then((columns) => {
+        expect(columns).toEqual(["widget_id", "colour"]);
+      });
+  });
+  test("does nothing when every migration has been applied", () => {
+    return migrateUp(options)
+      .then(() => migrateUp(options))
+      .then((applied) => {
+        expect(applied).toEqual([]);
+      });
+  });
+  test("rolls back a failing migration and does not record it", () => {
+    const failingOptions = {
+      ...options,
+      dir: path.join(__dirname, "fixtures", "failing-migrations"),
+    };
+    return migrateUp(failingOptions)
+      .then(() => {
+        throw new Error("migrateUp should have rejected");
+      })
+      .catch((err) => {
+        expect(err.message).toMatch(
+          /^Migration 001_create_gadgets_then_fail failed \(up\)/
+        );
+        return Promise.all([
+          tableColumns("migrate_test_gadgets"),
+          migrationStatus(failingOptions),
+        ]);
+      })
+      .then(([columns, status]) => {
+        expect(columns).toEqual([]);
+        expect(status).toEqual([
+          { name: "001_create_gadgets_then_fail", applied_at: null },
+        ]);
+      });
+  });
+});
+
+describe("migrateDown", () => {
+  test("reverts the most recently applied migration by default", () => {
+    return migrateUp(options)
+      .then(() => migrateDown(options))
+      .then((reverted) => {
+        expect(reverted).toEqual(["002_add_widget_colour"]);
+        return tableColumns("migrate_test_widgets");
+      })
+      .then((columns) => {
+        expect(columns).toEqual(["widget_id"]);
+      });
+  });
+  test("reverts several migrations newest first when given steps", () => {
+    return migrateUp(options)
+      .then(() => migrateDown({ ...options, steps: 5 }))
+      .then((reverted) => {
+        expect(reverted).toEqual([
+          "002_add_widget_colour",
+          "001_create_widgets",
+        ]);
+        return tableColumns("migrate_test_widgets");
+      })
+      .then((columns) => {
+        expect(columns).toEqual([]);
+      });
+  });
+  test("rejects steps that are not a positive whole number", () => {
+    return migrateDown({ ...options, steps: 0 }).catch((err) => {
+      expect(err.message).toBe("Steps must be a positive whole number");
+    });
+  });
+});
+
+describe("migrationStatus", () => {
+  test("lists every migration with when it was applied", () => {
+    return migrateUp(options)
+      .then(() => migrateDown(options))
+      .then(() => migrationStatus(options))
+      .then((status) => {
+        expect(status).toEqual([
+          { name: "001_create_widgets", applied_at: expect.any(Date) },
+          { name: "002_add_widget_colour", applied_at: null },
+        ]);
+      });
+  });
+});
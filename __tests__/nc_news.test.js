@@ -1,12 +1,34 @@
+const http = require("http");
 const request = require("supertest");
 const app = require("../app.js");
 const db = require("../db/connection.js");
 const data = require("../db/data/test-data/index.js");
 const seed = require("../db/seeds/seed.js");
+const reset = require("../db/seeds/reset.js");
 const endpoints = require("../endpoints.json");
+const { createToken } = require("../models/auth.model.js");
+const { endpointKey } = require("../docs/openapi.js");
+const { listRoutes } = require("../controllers/routes.controller.js");
+const {
+  deliverDueWebhooks,
+  signPayload,
+} = require("../webhooks/dispatcher.js");
+const {
+  pruneArticleEvents,
+  recordArticleEvent,
+} = require("../models/events.model.js");
+
+const authHeader = (username = "butter_bridge") => {
+  return `Bearer ${createToken(username)}`;
+};
+
+// The router that app.js mounts at /api and /api/v2.
+const apiRouter = app._router.stack.find(
+  (layer) => layer.name === "router"
+).handle;
 
 beforeEach(() => {
-  return seed(data);
+  return reset().then(() => seed(data));
 });
 
 afterAll(() => {
@@ -50,18 +72,354 @@ describe("GET /api/topics", () => {
         });
       });
   });
+  it("GET:200 should include statistics for each topic", () => {
+    return request(app)
+      .get("/api/topics")
+      .then(({ body }) => {
+        expect(body.topics).toEqual([
+          {
+            slug: "cats",
+            description: "Not dogs",
+            article_count: 1,
+            comment_count: 2,
+            total_votes: 0,
+            latest_article_at: new Date(
+              data.articleData[4].created_at
+            ).toISOString(),
+          },
+          {
+            slug: "mitch",
+            description: "The man, the Mitch, the legend",
+            article_count: 12,
+            comment_count: 16,
+            total_votes: 100,
+            latest_article_at: new Date(
+              data.articleData[2].created_at
+            ).toISOString(),
+          },
+          {
+            slug: "paper",
+            description: "what books are made of",
+            article_count: 0,
+            comment_count: 0,
+            total_votes: 0,
+            latest_article_at: null,
+          },
+        ]);
+      });
+  });
+  it("GET:200 should not count soft deleted articles", () => {
+    return request(app)
+      .delete("/api/articles/5?soft=true")
+      .set("Authorization", authHeader())
+      .then(() => {
+        return request(app).get("/api/topics");
+      })
+      .then(({ body }) => {
+        const cats = body.topics.find((topic) => topic.slug === "cats");
+        expect(cats.article_count).toBe(0);
+        expect(cats.comment_count).toBe(0);
+      });
+  });
+  it("GET:200 should sort by any statistic passed as sort_by (desc by default)", () => {
+    return request(app)
+      .get("/api/topics?sort_by=article_count")
+      .then(({ body }) => {
+        expect(body.topics).toBeSortedBy("article_count", {
+          descending: true,
+        });
+      });
+  });
+  it("GET:200 should allow client to sort by ascending", () => {
+    return request(app)
+      .get("/api/topics?sort_by=comment_count&order=asc")
+      .then(({ body }) => {
+        expect(body.topics).toBeSortedBy("comment_count", {
+          ascending: true,
+        });
+      });
+  });
+  it("GET:200 should put topics with no articles last when sorting by latest_article_at", () => {
+    return request(app)
+      .get("/api/topics?sort_by=latest_article_at")
+      .then(({ body }) => {
+        const slugs = body.topics.map(({ slug }) => slug);
+        expect(slugs).toEqual(["mitch", "cats", "paper"]);
+      });
+  });
+  it("GET:400 should throw error if sort_by query is not a statistic", () => {
+    return request(app)
+      .get("/api/topics?sort_by=description")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid sort query");
+      });
+  });
+  it("GET:400 should throw error if order query does not match asc or desc", () => {
+    return request(app)
+      .get("/api/topics?order=upwards")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid order query");
+      });
+  });
+});
+
+describe("GET /api/topics/:slug", () => {
+  it("GET:200 should serve the topic with its statistics and top authors", () => {
+    return request(app)
+      .get("/api/topics/mitch")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.topic).toEqual({
+          slug: "mitch",
+          description: "The man, the Mitch, the legend",
+          article_count: 12,
+          comment_count: 16,
+          total_votes: 100,
+          latest_article_at: new Date(
+            data.articleData[2].created_at
+          ).toISOString(),
+          top_authors: [
+            { author: "icellusedkars", article_count: 6, total_votes: 0 },
+            { author: "butter_bridge", article_count: 4, total_votes: 100 },
+            { author: "rogersop", article_count: 2, total_votes: 0 },
+          ],
+        });
+      });
+  });
+  it("GET:200 should serve an empty top_authors array for a topic with no articles", () => {
+    return request(app)
+      .get("/api/topics/paper")
+      .then(({ body }) => {
+        expect(body.topic.article_count).toBe(0);
+        expect(body.topic.top_authors).toEqual([]);
+      });
+  });
+  it("GET:404 should return error if topic does not exist", () => {
+    return request(app)
+      .get("/api/topics/roast-chicken")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Topic not found");
+      });
+  });
+});
+
+describe("POST /api/topics", () => {
+  it("POST:201 should add a new topic and return it", () => {
+    return request(app)
+      .post("/api/topics")
+      .set("Authorization", authHeader())
+      .send({ slug: "roast-chicken", description: "Sunday best" })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.topic).toEqual({
+          slug: "roast-chicken",
+          description: "Sunday best",
+        });
+        return request(app).get("/api/topics");
+      })
+      .then(({ body }) => {
+        expect(body.topics).toHaveLength(4);
+      });
+  });
+  it("POST:400 should return error if a required field is missing", () => {
+    return request(app)
+      .post("/api/topics")
+      .set("Authorization", authHeader())
+      .send({ slug: "roast-chicken" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Missing required fields - topic could not be added"
+        );
+      });
+  });
+  it("POST:400 should return error if the slug is not well formed", () => {
+    return request(app)
+      .post("/api/topics")
+      .set("Authorization", authHeader())
+      .send({ slug: "Roast Chicken!", description: "Sunday best" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Invalid slug - use lowercase letters, numbers and single hyphens"
+        );
+      });
+  });
+  it("POST:409 should return error if the slug is already taken", () => {
+    return request(app)
+      .post("/api/topics")
+      .set("Authorization", authHeader())
+      .send({ slug: "cats", description: "Still not dogs" })
+      .expect(409)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Entry already exists");
+      });
+  });
+  it("POST:403 should return error if user is not an admin", () => {
+    return request(app)
+      .post("/api/topics")
+      .set("Authorization", authHeader("rogersop"))
+      .send({ slug: "roast-chicken", description: "Sunday best" })
+      .expect(403)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Forbidden - admin role required");
+      });
+  });
+});
+
+describe("PATCH /api/topics/:slug", () => {
+  it("PATCH:200 should update the topic's description", () => {
+    return request(app)
+      .patch("/api/topics/cats")
+      .set("Authorization", authHeader())
+      .send({ description: "Definitely not dogs" })
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.topic).toEqual({
+          slug: "cats",
+          description: "Definitely not dogs",
+        });
+      });
+  });
+  it("PATCH:400 should return error if description is missing", () => {
+    return request(app)
+      .patch("/api/topics/cats")
+      .set("Authorization", authHeader())
+      .send({ slug: "dogs" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Missing required fields - topic could not be updated"
+        );
+      });
+  });
+  it("PATCH:404 should return error if topic does not exist", () => {
+    return request(app)
+      .patch("/api/topics/roast-chicken")
+      .set("Authorization", authHeader())
+      .send({ description: "Sunday best" })
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Topic not found");
+      });
+  });
+});
+
+describe("DELETE /api/topics/:slug", () => {
+  it("DELETE:204 should delete a topic with no articles", () => {
+    return request(app)
+      .delete("/api/topics/paper")
+      .set("Authorization", authHeader())
+      .expect(204)
+      .then(() => {
+        return request(app).get("/api/articles?topic=paper").expect(404);
+      });
+  });
+  it("DELETE:409 should refuse to delete a topic that still has articles", () => {
+    return request(app)
+      .delete("/api/topics/cats")
+      .set("Authorization", authHeader())
+      .expect(409)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Topic still has articles - pass reassign_to to move them first"
+        );
+      });
+  });
+  it("DELETE:204 should move the topic's articles to reassign_to before deleting it", () => {
+    return request(app)
+      .delete("/api/topics/cats?reassign_to=paper")
+      .set("Authorization", authHeader())
+      .expect(204)
+      .then(() => {
+        return request(app).get("/api/articles?topic=paper");
+      })
+      .then(({ body }) => {
+        expect(body.articles).toHaveLength(1);
+        expect(body.articles[0].title).toBe(
+          "UNCOVERED: catspiracy to bring down democracy"
+        );
+      });
+  });
+  it("DELETE:404 should return error if reassign_to topic does not exist", () => {
+    return request(app)
+      .delete("/api/topics/cats?reassign_to=dogs")
+      .set("Authorization", authHeader())
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Topic not found");
+      });
+  });
+  it("DELETE:400 should return error if reassign_to is empty or not a slug", () => {
+    return Promise.all(
+      ["", "Not%20a%20slug"].map((reassign_to) => {
+        return request(app)
+          .delete(`/api/topics/paper?reassign_to=${reassign_to}`)
+          .set("Authorization", authHeader())
+          .expect(400)
+          .then(({ body }) => {
+            expect(body.msg).toBe("Invalid reassign_to - must be a topic slug");
+          });
+      })
+    ).then(() => {
+      return request(app).get("/api/topics/paper").expect(200);
+    });
+  });
+  it("DELETE:400 should return error if reassign_to is the topic being deleted", () => {
+    return request(app)
+      .delete("/api/topics/cats?reassign_to=cats")
+      .set("Authorization", authHeader())
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Cannot reassign articles to the topic being deleted"
+        );
+      });
+  });
+  it("DELETE:404 should return error if topic does not exist", () => {
+    return request(app)
+      .delete("/api/topics/roast-chicken")
+      .set("Authorization", authHeader())
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Topic not found");
+      });
+  });
+  it("DELETE:403 should return error if user is not an admin", () => {
+    return request(app)
+      .delete("/api/topics/paper")
+      .set("Authorization", authHeader("icellusedkars"))
+      .expect(403);
+  });
 });
 
 describe("GET /api/articles", () => {
+  it("GET:400 should list every invalid query", () => {
+    return request(app)
+      .get("/api/articles?sort_by=colour&limit=0&p=two")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid sort query");
+        expect(body.details).toEqual([
+          { location: "query", field: "sort_by", msg: "Invalid sort query" },
+          { location: "query", field: "limit", msg: "Invalid limit query" },
+          { location: "query", field: "p", msg: "Invalid page query" },
+        ]);
+      });
+  });
   it("GET:200 should return status code 200", () => {
     return request(app).get("/api/articles").expect(200);
   });
   it("GET:200 should respond with an array of article objects, each with the correct format", () => {
     return request(app)
-      .get("/api/articles")
+      .get("/api/articles?limit=20")
       .then(({ body }) => {
-        expect(body).toHaveLength(13);
-        body.forEach((article) => {
+        const { articles } = body;
+        expect(articles).toHaveLength(13);
+        articles.forEach((article) => {
           expect(article).toHaveProperty("article_id");
           expect(article).toHaveProperty("title");
           expect(article).toHaveProperty("topic");
@@ -75,10 +433,11 @@ describe("GET /api/articles", () => {
   });
   it("GET:200 should order articles by date in descending order as default", () => {
     return request(app)
-      .get("/api/articles")
+      .get("/api/articles?limit=20")
       .then(({ body }) => {
-        expect(body).toHaveLength(13);
-        expect(body).toBeSortedBy("created_at", { descending: true });
+        const { articles } = body;
+        expect(articles).toHaveLength(13);
+        expect(articles).toBeSortedBy("created_at", { descending: true });
       });
   });
   describe("GET /api/articles?topic=:query", () => {
@@ -86,8 +445,9 @@ describe("GET /api/articles", () => {
       return request(app)
         .get("/api/articles?topic=cats")
         .then(({ body }) => {
-          expect(body).toHaveLength(1);
-          body.forEach((article) => {
+          const { articles } = body;
+          expect(articles).toHaveLength(1);
+          articles.forEach((article) => {
             expect(article.topic).toBe("cats");
           });
         });
@@ -105,7 +465,49 @@ describe("GET /api/articles", () => {
         .get("/api/articles?topic=paper")
         .expect(200)
         .then(({ body }) => {
-          expect(body).toEqual([]);
+          expect(body.articles).toEqual([]);
+        });
+    });
+  });
+  describe("GET /api/articles?author=:query", () => {
+    it("GET:200 should filter articles by the author stated in the query", () => {
+      return request(app)
+        .get("/api/articles?author=icellusedkars")
+        .expect(200)
+        .then(({ body }) => {
+          expect(body.articles).toHaveLength(6);
+          expect(body.total_count).toBe(6);
+          body.articles.forEach((article) => {
+            expect(article.author).toBe("icellusedkars");
+          });
+        });
+    });
+    it("GET:200 should work alongside topic query", () => {
+      return request(app)
+        .get("/api/articles?author=rogersop&topic=cats")
+        .then(({ body }) => {
+          expect(body.articles).toHaveLength(1);
+          body.articles.forEach((article) => {
+            expect(article.author).toBe("rogersop");
+            expect(article.topic).toBe("cats");
+          });
+        });
+    });
+    it("GET:200 return empty array if author exists but has no articles", () => {
+      return request(app)
+        .get("/api/articles?author=lurker")
+        .expect(200)
+        .then(({ body }) => {
+          expect(body.articles).toEqual([]);
+          expect(body.total_count).toBe(0);
+        });
+    });
+    it("GET:404 return error if author does not exist", () => {
+      return request(app)
+        .get("/api/articles?author=BabeRuth")
+        .expect(404)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Username not found");
         });
     });
   });
@@ -114,25 +516,26 @@ describe("GET /api/articles", () => {
       return request(app)
         .get("/api/articles?sort_by=author")
         .then(({ body }) => {
-          expect(body).toBeSortedBy("author", { descending: true });
+          expect(body.articles).toBeSortedBy("author", { descending: true });
         });
     });
     it("GET:200 should allow client to sort response object by ascending", () => {
       return request(app)
         .get("/api/articles?sort_by=title&order=asc")
         .then(({ body }) => {
-          expect(body).toBeSortedBy("title", { ascending: true });
+          expect(body.articles).toBeSortedBy("title", { ascending: true });
         });
     });
     it("GET:200 should work alongside topic query", () => {
       return request(app)
-        .get("/api/articles?sort_by=title&order=asc&topic=mitch")
+        .get("/api/articles?sort_by=title&order=asc&topic=mitch&limit=20")
         .then(({ body }) => {
-          expect(body).toHaveLength(12);
-          body.forEach((article) => {
+          const { articles } = body;
+          expect(articles).toHaveLength(12);
+          articles.forEach((article) => {
             expect(article.topic).toBe("mitch");
           });
-          expect(body).toBeSortedBy("title", { ascending: true });
+          expect(articles).toBeSortedBy("title", { ascending: true });
         });
     });
     it("GET:400 should throw error if sort_by query does not match any column", () => {
@@ -152,40 +555,298 @@ describe("GET /api/articles", () => {
         });
     });
   });
+  describe("GET /api/articles?limit=:limit&p=:p", () => {
+    it("GET:200 should limit responses to 10 articles by default", () => {
+      return request(app)
+        .get("/api/articles")
+        .expect(200)
+        .then(({ body }) => {
+          expect(body.articles).toHaveLength(10);
+        });
+    });
+    it("GET:200 should limit responses to the number passed as limit", () => {
+      return request(app)
+        .get("/api/articles?limit=5")
+        .then(({ body }) => {
+          expect(body.articles).toHaveLength(5);
+        });
+    });
+    it("GET:200 should return the page of results given by p", () => {
+      return Promise.all([
+        request(app).get("/api/articles?limit=20"),
+        request(app).get("/api/articles?limit=5&p=2"),
+      ]).then(([allResponse, pageResponse]) => {
+        expect(pageResponse.body.articles).toEqual(
+          allResponse.body.articles.slice(5, 10)
+        );
+      });
+    });
+    it("GET:200 should return the remaining articles on the last page", () => {
+      return request(app)
+        .get("/api/articles?p=2")
+        .then(({ body }) => {
+          expect(body.articles).toHaveLength(3);
+        });
+    });
+    it("GET:200 should return an empty array for a page past the end", () => {
+      return request(app)
+        .get("/api/articles?p=50")
+        .expect(200)
+        .then(({ body }) => {
+          expect(body.articles).toEqual([]);
+          expect(body.total_count).toBe(13);
+        });
+    });
+    it("GET:200 should include total_count of all articles, not just the current page", () => {
+      return request(app)
+        .get("/api/articles?limit=2")
+        .then(({ body }) => {
+          expect(body.articles).toHaveLength(2);
+          expect(body.total_count).toBe(13);
+        });
+    });
+    it("GET:200 total_count should take the topic filter into account", () => {
+      return request(app)
+        .get("/api/articles?topic=mitch&sort_by=votes&order=asc&limit=5")
+        .then(({ body }) => {
+          expect(body.articles).toHaveLength(5);
+          expect(body.articles).toBeSortedBy("votes", { ascending: true });
+          expect(body.total_count).toBe(12);
+        });
+    });
+    it("GET:400 should return error if limit is not a number", () => {
+      return request(app)
+        .get("/api/articles?limit=ten")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid limit query");
+        });
+    });
+    it("GET:400 should return error if limit is negative", () => {
+      return request(app)
+        .get("/api/articles?limit=-5")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid limit query");
+        });
+    });
+    it("GET:400 should return error if p is not a positive number", () => {
+      return request(app)
+        .get("/api/articles?p=-1")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid page query");
+        });
+    });
+    it("GET:400 should return error if limit is over 100", () => {
+      return request(app)
+        .get("/api/articles?limit=101")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid limit query");
+        });
+    });
+    it("GET:400 should return error if p is too large", () => {
+      return request(app)
+        .get("/api/articles?p=99999999999999999999")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid page query");
+        });
+    });
+  });
 });
 
-describe("GET /api/articles/:article_id", () => {
-  it("GET:200 should return status code 200", () => {
-    return request(app).get("/api/articles/1").expect(200);
-  });
-  it("GET:200 should provide the article by its ID", () => {
+describe("POST /api/articles", () => {
+  it("POST:201 should add a new article and return it with a comment_count of 0", () => {
     return request(app)
-      .get("/api/articles/1")
+      .post("/api/articles")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "cats",
+        article_img_url: "https://example.com/cat.jpg",
+      })
+      .expect(201)
       .then(({ body }) => {
-        const article = body.article;
-
-        expect(article).toHaveProperty("title", expect.any(String));
-        expect(article).toHaveProperty("topic", expect.any(String));
-        expect(article).toHaveProperty("created_at", expect.any(String));
-        expect(article).toHaveProperty("author", expect.any(String));
-        expect(article).toHaveProperty("article_id", expect.any(Number));
-        expect(article).toHaveProperty("votes", expect.any(Number));
+        expect(body.article).toMatchObject({
+          article_id: 14,
+          author: "icellusedkars",
+          title: "Why cats ignore mitch",
+          body: "A thorough investigation",
+          topic: "cats",
+          article_img_url: "https://example.com/cat.jpg",
+          votes: 0,
+          comment_count: 0,
+          created_at: expect.any(String),
+        });
       });
   });
-  it("GET:404 should return error if article ID does not exist", () => {
+  it("POST:201 should fill in the default image URL when none is given", () => {
     return request(app)
-      .get("/api/articles/9999")
-      .expect(404)
-      .then((response) => {
-        expect(response.body.msg).toBe("Article ID not found");
+      .post("/api/articles")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "cats",
+      })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.article.article_img_url).toBe(
+          "https://images.pexels.com/photos/97050/pexels-photo-97050.jpeg?w=700&h=700"
+        );
       });
   });
-  it("GET:400 should return error if given invalid article ID", () => {
+  it("POST:201 should be retrievable by its new article ID", () => {
     return request(app)
-      .get("/api/articles/hamsandwich")
-      .expect(400)
+      .post("/api/articles")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "cats",
+      })
+      .then(({ body }) => {
+        return request(app).get(`/api/articles/${body.article.article_id}`);
+      })
+      .then(({ body }) => {
+        expect(body.article.title).toBe("Why cats ignore mitch");
+      });
+  });
+  it("POST:400 should return error if a required field is missing", () => {
+    return request(app)
+      .post("/api/articles")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({
+        body: "A thorough investigation",
+        topic: "cats",
+      })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Missing required fields - article could not be added"
+        );
+      });
+  });
+  it("POST:201 should take the author from the token rather than the request body", () => {
+    return request(app)
+      .post("/api/articles")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({
+        author: "butter_bridge",
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "cats",
+      })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.article.author).toBe("icellusedkars");
+      });
+  });
+  it("POST:201 should let a reader post an article", () => {
+    return request(app)
+      .post("/api/articles")
+      .set("Authorization", authHeader("lurker"))
+      .send({
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "cats",
+      })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.article.author).toBe("lurker");
+      });
+  });
+  it("POST:401 should return error if no token is given", () => {
+    return request(app)
+      .post("/api/articles")
+      .send({
+        author: "icellusedkars",
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "cats",
+      })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Authentication required");
+      });
+  });
+  it("POST:401 should return error if the token's user does not exist", () => {
+    return request(app)
+      .post("/api/articles")
+      .set("Authorization", authHeader("BabeRuth"))
+      .send({
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "cats",
+      })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid or expired token");
+      });
+  });
+  it("POST:404 should return error if topic does not exist", () => {
+    return request(app)
+      .post("/api/articles")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({
+        title: "Why cats ignore mitch",
+        body: "A thorough investigation",
+        topic: "roast-chicken",
+      })
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Topic not found");
+      });
+  });
+});
+
+describe("GET /api/articles/:article_id", () => {
+  it("GET:200 should return status code 200", () => {
+    return request(app).get("/api/articles/1").expect(200);
+  });
+  it("GET:200 should provide the article by its ID", () => {
+    return request(app)
+      .get("/api/articles/1")
+      .then(({ body }) => {
+        const article = body.article;
+
+        expect(article).toHaveProperty("title", expect.any(String));
+        expect(article).toHaveProperty("topic", expect.any(String));
+        expect(article).toHaveProperty("created_at", expect.any(String));
+        expect(article).toHaveProperty("author", expect.any(String));
+        expect(article).toHaveProperty("article_id", expect.any(Number));
+        expect(article).toHaveProperty("votes", expect.any(Number));
+      });
+  });
+  it("GET:404 should return error if article ID does not exist", () => {
+    return request(app)
+      .get("/api/articles/9999")
+      .expect(404)
+      .then((response) => {
+        expect(response.body.msg).toBe("Article ID not found");
+      });
+  });
+  it("GET:400 should return error if given invalid article ID", () => {
+    return request(app)
+      .get("/api/articles/hamsandwich")
+      .expect(400)
       .then((response) => {
-        expect(response.body.msg).toBe("Bad request");
+        expect(response.body.msg).toBe(
+          "Invalid article_id - must be a positive integer"
+        );
+      });
+  });
+  it("GET:400 should return error if the article ID is too large for an id", () => {
+    return request(app)
+      .get("/api/articles/2147483648")
+      .expect(400)
+      .then((response) => {
+        expect(response.body.msg).toBe(
+          "Invalid article_id - must be a positive integer"
+        );
       });
   });
   it("GET:200 should also include comment_count in response object", () => {
@@ -203,10 +864,11 @@ describe("GET /api/articles/:article_id/comments", () => {
   });
   it("GET:200 should provide all comments for specified article in correct format", () => {
     return request(app)
-      .get("/api/articles/1/comments")
+      .get("/api/articles/1/comments?limit=20")
       .then(({ body }) => {
-        expect(body).toHaveLength(11);
-        body.forEach((comment) => {
+        const { comments } = body;
+        expect(comments).toHaveLength(11);
+        comments.forEach((comment) => {
           expect(comment).toHaveProperty("comment_id", expect.any(Number));
           expect(comment).toHaveProperty("votes", expect.any(Number));
           expect(comment).toHaveProperty("created_at", expect.any(String));
@@ -220,14 +882,16 @@ describe("GET /api/articles/:article_id/comments", () => {
     return request(app)
       .get("/api/articles/1/comments")
       .then(({ body }) => {
-        expect(body).toBeSortedBy("created_at", { descending: true });
+        expect(body.comments).toBeSortedBy("created_at", {
+          descending: true,
+        });
       });
   });
   it("GET:200 should return an empty array if article ID exists but has no comments", () => {
     return request(app)
       .get("/api/articles/2/comments")
       .then(({ body }) => {
-        expect(body).toEqual([]);
+        expect(body.comments).toEqual([]);
       });
   });
   it("GET:404 should return error if article ID is valid but doesnt exist", () => {
@@ -241,14 +905,171 @@ describe("GET /api/articles/:article_id/comments", () => {
   it("GET:400 should return error if given invalid article ID", () => {
     return request(app).get("/api/articles/hamsandwich/comments");
   });
+  describe("GET /api/articles/:article_id/comments?:queries", () => {
+    it("GET:200 should limit responses to 10 comments by default", () => {
+      return request(app)
+        .get("/api/articles/1/comments")
+        .then(({ body }) => {
+          expect(body.comments).toHaveLength(10);
+        });
+    });
+    it("GET:200 should accept limit and p queries", () => {
+      return Promise.all([
+        request(app).get("/api/articles/1/comments?limit=20"),
+        request(app).get("/api/articles/1/comments?limit=3&p=2"),
+      ]).then(([allResponse, pageResponse]) => {
+        expect(pageResponse.body.comments).toEqual(
+          allResponse.body.comments.slice(3, 6)
+        );
+      });
+    });
+    it("GET:200 should include total_count of all comments on the article", () => {
+      return request(app)
+        .get("/api/articles/1/comments?limit=2")
+        .then(({ body }) => {
+          expect(body.comments).toHaveLength(2);
+          expect(body.total_count).toBe(11);
+        });
+    });
+    it("GET:200 should return an empty array for a page past the end", () => {
+      return request(app)
+        .get("/api/articles/1/comments?p=10")
+        .expect(200)
+        .then(({ body }) => {
+          expect(body.comments).toEqual([]);
+          expect(body.total_count).toBe(11);
+        });
+    });
+    it("GET:200 should sort by votes when passed as sort_by", () => {
+      return request(app)
+        .get("/api/articles/1/comments?sort_by=votes&limit=20")
+        .then(({ body }) => {
+          expect(body.comments).toBeSortedBy("votes", { descending: true });
+        });
+    });
+    it("GET:200 should allow client to sort in ascending order", () => {
+      return request(app)
+        .get("/api/articles/1/comments?order=asc")
+        .then(({ body }) => {
+          expect(body.comments).toBeSortedBy("created_at", {
+            ascending: true,
+          });
+        });
+    });
+    it("GET:400 should throw error if sort_by is not votes or created_at", () => {
+      return request(app)
+        .get("/api/articles/1/comments?sort_by=body")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid sort query");
+        });
+    });
+    it("GET:400 should throw error if order query does not match asc or desc", () => {
+      return request(app)
+        .get("/api/articles/1/comments?order=sideways")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid order query");
+        });
+    });
+    it("GET:400 should return error if limit or p are not positive numbers", () => {
+      return Promise.all([
+        request(app).get("/api/articles/1/comments?limit=lots").expect(400),
+        request(app).get("/api/articles/1/comments?p=0").expect(400),
+      ]).then(([limitResponse, pageResponse]) => {
+        expect(limitResponse.body.msg).toBe("Invalid limit query");
+        expect(pageResponse.body.msg).toBe("Invalid page query");
+      });
+    });
+  });
+  describe("GET /api/articles/:article_id/comments?format=tree", () => {
+    const postReply = (parent_comment_id, body) => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body, parent_comment_id })
+        .then(({ body }) => body.comment.comment_id);
+    };
+    it("GET:200 should nest replies under their parent comments with reply counts", () => {
+      return postReply(2, "First reply")
+        .then(() => postReply(2, "Second reply"))
+        .then(() => {
+          return request(app)
+            .get("/api/articles/1/comments?format=tree&limit=20")
+            .expect(200);
+        })
+        .then(({ body }) => {
+          const { comments } = body;
+          expect(comments).toHaveLength(11);
+          expect(body.total_count).toBe(11);
+          comments.forEach((comment) => {
+            expect(comment.parent_comment_id).toBe(null);
+            expect(comment).toHaveProperty("reply_count", expect.any(Number));
+            expect(comment).toHaveProperty("replies", expect.any(Array));
+          });
+          const parent = comments.find((comment) => comment.comment_id === 2);
+          expect(parent.reply_count).toBe(2);
+          expect(parent.replies).toHaveLength(2);
+          parent.replies.forEach((reply) => {
+            expect(reply.parent_comment_id).toBe(2);
+            expect(reply.reply_count).toBe(0);
+            expect(reply.replies).toEqual([]);
+          });
+        });
+    });
+    it("GET:200 should stop nesting at the depth given, keeping the reply count", () => {
+      return postReply(2, "Depth two")
+        .then((replyId) => postReply(replyId, "Depth three"))
+        .then(() => {
+          return request(app).get(
+            "/api/articles/1/comments?format=tree&limit=20&depth=2"
+          );
+        })
+        .then(({ body }) => {
+          const parent = body.comments.find(
+            (comment) => comment.comment_id === 2
+          );
+          const [reply] = parent.replies;
+          expect(reply.body).toBe("Depth two");
+          expect(reply.reply_count).toBe(1);
+          expect(reply.replies).toEqual([]);
+        });
+    });
+    it("GET:200 flat format should still list replies alongside other comments", () => {
+      return postReply(2, "First reply")
+        .then(() => {
+          return request(app).get("/api/articles/1/comments?limit=20");
+        })
+        .then(({ body }) => {
+          expect(body.comments).toHaveLength(12);
+          expect(body.total_count).toBe(12);
+        });
+    });
+    it("GET:400 should return error if format is not flat or tree", () => {
+      return request(app)
+        .get("/api/articles/1/comments?format=spiral")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid format query");
+        });
+    });
+    it("GET:400 should return error if depth is not a positive number", () => {
+      return request(app)
+        .get("/api/articles/1/comments?format=tree&depth=0")
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid depth query");
+        });
+    });
+  });
 });
 
 describe("POST /api/articles/:article_id/comments", () => {
   it("POST:201 should return correct status code", () => {
     return request(app)
       .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("icellusedkars"))
       .send({
-        username: "icellusedkars",
         body: "Enjoyed it",
       })
       .expect(201);
@@ -256,8 +1077,8 @@ describe("POST /api/articles/:article_id/comments", () => {
   it("POST:201 should post new comment and return comment with confirmation", () => {
     return request(app)
       .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("icellusedkars"))
       .send({
-        username: "icellusedkars",
         body: "Enjoyed it",
       })
       .then(({ body }) => {
@@ -272,39 +1093,89 @@ describe("POST /api/articles/:article_id/comments", () => {
   it("POST:400 should give error when passed object with incorrect format", () => {
     return request(app)
       .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("icellusedkars"))
       .send({
-        name: "icellusedkars",
-        body: "Enjoyed it",
+        comment: "Enjoyed it",
       })
       .expect(400)
       .then(({ body }) => {
-        expect(body.msg).toBe("Bad request");
+        expect(body.msg).toBe(
+          "Missing required fields - comment could not be added"
+        );
+        expect(body.details).toEqual([
+          {
+            location: "body",
+            field: "body",
+            msg: "Missing required fields - comment could not be added",
+          },
+          {
+            location: "body",
+            field: "comment",
+            msg: "Unknown field - comment",
+          },
+        ]);
       });
   });
-  it("POST:201 should ignore unecessary additional properties", () => {
+  it("POST:400 should reject unknown properties and list each of them", () => {
     return request(app)
       .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("icellusedkars"))
       .send({
-        username: "icellusedkars",
         body: "Enjoyed it",
         extra: "Extra thing",
         extra2: "another one",
       })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Unknown field - extra");
+        expect(body.details).toEqual([
+          { location: "body", field: "extra", msg: "Unknown field - extra" },
+          { location: "body", field: "extra2", msg: "Unknown field - extra2" },
+        ]);
+      });
+  });
+  it("POST:201 should take the author from the token rather than the request body", () => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({
+        username: "butter_bridge",
+        body: "Enjoyed it",
+      })
       .expect(201)
       .then(({ body }) => {
-        expect(body.comment).toHaveProperty("comment_id", expect.any(Number));
-        expect(body.comment).toHaveProperty("body", expect.any(String));
-        expect(body.comment).toHaveProperty("article_id", expect.any(Number));
-        expect(body.comment).toHaveProperty("author", expect.any(String));
-        expect(body.comment).toHaveProperty("votes", expect.any(Number));
-        expect(body.comment).toHaveProperty("created_at", expect.any(String));
+        expect(body.comment.author).toBe("icellusedkars");
+      });
+  });
+  it("POST:401 should return error if no token is given", () => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .send({
+        username: "icellusedkars",
+        body: "Enjoyed it",
+      })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Authentication required");
+      });
+  });
+  it("POST:401 should return error if token is invalid", () => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .set("Authorization", "Bearer not.a.token")
+      .send({
+        body: "Enjoyed it",
+      })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid or expired token");
       });
   });
   it("POST:404 should return error if article ID does not exist", () => {
     return request(app)
       .post("/api/articles/9999/comments")
+      .set("Authorization", authHeader("icellusedkars"))
       .send({
-        username: "icellusedkars",
         body: "Enjoyed it",
       })
       .expect(404)
@@ -315,32 +1186,34 @@ describe("POST /api/articles/:article_id/comments", () => {
   it("POST:400 should return error if given invalid article ID", () => {
     return request(app)
       .post("/api/articles/hamsandwich/comments")
+      .set("Authorization", authHeader("icellusedkars"))
       .send({
-        username: "icellusedkars",
         body: "Enjoyed it",
       })
       .expect(400)
       .then((response) => {
-        expect(response.body.msg).toBe("Bad request");
+        expect(response.body.msg).toBe(
+          "Invalid article_id - must be a positive integer"
+        );
       });
   });
-  it("POST:404 should return error if username does not exist", () => {
+  it("POST:401 should return error if the token's user does not exist", () => {
     return request(app)
       .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("BabeRuth"))
       .send({
-        username: "BabeRuth",
         body: "Enjoyed it",
       })
-      .expect(404)
+      .expect(401)
       .then((response) => {
-        expect(response.body.msg).toBe("Entry not found");
+        expect(response.body.msg).toBe("Invalid or expired token");
       });
   });
   it("POST:400 should return error if body is empty", () => {
     return request(app)
       .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("icellusedkars"))
       .send({
-        username: "icellusedkars",
         body: "",
       })
       .expect(400)
@@ -350,19 +1223,93 @@ describe("POST /api/articles/:article_id/comments", () => {
         );
       });
   });
+  describe("POST with parent_comment_id", () => {
+    it("POST:201 should post a reply to another comment on the same article", () => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "I disagree", parent_comment_id: 2 })
+        .expect(201)
+        .then(({ body }) => {
+          expect(body.comment).toMatchObject({
+            body: "I disagree",
+            article_id: 1,
+            author: "icellusedkars",
+            parent_comment_id: 2,
+          });
+        });
+    });
+    it("POST:201 top-level comments should have a null parent_comment_id", () => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "Enjoyed it" })
+        .then(({ body }) => {
+          expect(body.comment.parent_comment_id).toBe(null);
+        });
+    });
+    it("POST:400 should return error if the parent belongs to a different article", () => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "I disagree", parent_comment_id: 1 })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Parent comment belongs to a different article"
+          );
+        });
+    });
+    it("POST:404 should return error if the parent comment does not exist", () => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "I disagree", parent_comment_id: 9999 })
+        .expect(404)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Parent comment not found");
+        });
+    });
+    it("POST:400 should return error if parent_comment_id is not a valid ID", () => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "I disagree", parent_comment_id: "the first one" })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Invalid parent_comment_id - must be a positive integer"
+          );
+        });
+    });
+    it("POST:400 should return error if parent_comment_id is too large for an ID", () => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "I disagree", parent_comment_id: 1e20 })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Invalid parent_comment_id - must be a positive integer"
+          );
+        });
+    });
+  });
 });
 
 describe("PATCH, /api/articles/:article_id", () => {
   it("PATCH:201 should return 201 status code", () => {
     return request(app)
       .patch("/api/articles/1")
+      .set("Authorization", authHeader())
       .send({ inc_votes: 1 })
       .expect(201);
   });
-  it("PATCH:201 should increment votes of passed article by the amount given in the req", () => {
+  it("PATCH:201 should add the caller's vote to the article and return the updated total and their vote", () => {
     return request(app)
       .patch("/api/articles/1")
-      .send({ inc_votes: 2 })
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
       .then(({ body }) => {
         const templateArticle = {
           article_id: 1,
@@ -370,97 +1317,619 @@ describe("PATCH, /api/articles/:article_id", () => {
           topic: "mitch",
           author: "butter_bridge",
           body: "I find this existence challenging",
-          created_at: "2020-07-09T20:11:00.000Z",
-          votes: 102,
+          created_at: new Date(data.articleData[0].created_at).toISOString(),
+          votes: 101,
           article_img_url:
             "https://images.pexels.com/photos/158651/news-newsletter-newspaper-information-158651.jpeg?w=700&h=700",
         };
         expect(body.updated_article).toMatchObject(templateArticle);
+        expect(body.user_vote).toBe(1);
       });
   });
-  it("PATCH:404 should return error if article ID does not exist", () => {
+  it("PATCH:201 should only count one vote per user however many times they vote", () => {
     return request(app)
-      .patch("/api/articles/9999")
-      .send({ inc_votes: 2 })
-      .expect(404)
-      .then((response) => {
-        expect(response.body.msg).toBe("Entry not found");
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader())
+          .send({ inc_votes: 1 });
+      })
+      .then(({ body }) => {
+        expect(body.updated_article.votes).toBe(101);
+        expect(body.user_vote).toBe(1);
       });
   });
-  it("PATCH:400 should return error if given invalid article ID", () => {
+  it("PATCH:201 should count votes from different users separately", () => {
     return request(app)
-      .patch("/api/articles/hamsandwich")
-      .send({ inc_votes: 2 })
-      .expect(400)
-      .then((response) => {
-        expect(response.body.msg).toBe("Bad request");
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader("butter_bridge"))
+      .send({ inc_votes: 1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader("icellusedkars"))
+          .send({ inc_votes: 1 });
+      })
+      .then(({ body }) => {
+        expect(body.updated_article.votes).toBe(102);
       });
   });
-  it("PATCH:400 should return error if given improperly formatted req", () => {
+  it("PATCH:201 should let a user change their vote", () => {
     return request(app)
       .patch("/api/articles/1")
-      .send({ inc_votes: "ello" })
-      .expect(400)
-      .then((response) => {
-        expect(response.body.msg).toBe("Bad request");
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader())
+          .send({ inc_votes: -1 });
+      })
+      .then(({ body }) => {
+        expect(body.updated_article.votes).toBe(99);
+        expect(body.user_vote).toBe(-1);
       });
   });
-  it("PATCH:201 should ignore unecessary additional properties", () => {
+  it("PATCH:201 should let a user withdraw their vote with inc_votes of 0", () => {
     return request(app)
       .patch("/api/articles/1")
-      .send({
-        inc_votes: 3,
-        extra: 500,
-        extra2: "Hello fellow youngsters",
+      .set("Authorization", authHeader())
+      .send({ inc_votes: -1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader())
+          .send({ inc_votes: 0 });
       })
       .then(({ body }) => {
-        const templateArticle = {
-          article_id: 1,
-          title: "Living in the shadow of a great man",
-          topic: "mitch",
-          author: "butter_bridge",
-          body: "I find this existence challenging",
-          created_at: "2020-07-09T20:11:00.000Z",
-          votes: 103,
-          article_img_url:
-            "https://images.pexels.com/photos/158651/news-newsletter-newspaper-information-158651.jpeg?w=700&h=700",
-        };
-        const article = body.updated_article;
-        expect(article).toMatchObject(templateArticle);
+        expect(body.updated_article.votes).toBe(100);
+        expect(body.user_vote).toBe(0);
+        return db.query(`SELECT * FROM votes;`);
+      })
+      .then(({ rows }) => {
+        expect(rows).toEqual([]);
+      });
+  });
+  it("PATCH:404 should return error if article ID does not exist", () => {
+    return request(app)
+      .patch("/api/articles/9999")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .expect(404)
+      .then((response) => {
+        expect(response.body.msg).toBe("Entry not found");
+      });
+  });
+  it("PATCH:401 should return error if no token is given", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .send({ inc_votes: 1 })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Authentication required");
+      });
+  });
+  it("PATCH:400 should return error if given invalid article ID", () => {
+    return request(app)
+      .patch("/api/articles/hamsandwich")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .expect(400)
+      .then((response) => {
+        expect(response.body.msg).toBe(
+          "Invalid article_id - must be a positive integer"
+        );
+      });
+  });
+  it("PATCH:400 should return error if given improperly formatted req", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: "ello" })
+      .expect(400)
+      .then((response) => {
+        expect(response.body.msg).toBe(
+          "Invalid inc_votes - must be 1, -1 or 0"
+        );
+      });
+  });
+  it("PATCH:400 should return error if inc_votes is anything other than 1, -1 or 0", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 500 })
+      .expect(400)
+      .then((response) => {
+        expect(response.body.msg).toBe(
+          "Invalid inc_votes - must be 1, -1 or 0"
+        );
+      });
+  });
+  it("PATCH:400 should reject unknown properties", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({
+        vote: -1,
+        extra: 500,
+        extra2: "Hello fellow youngsters",
+      })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.details.map(({ field }) => field)).toEqual([
+          "extra",
+          "extra2",
+        ]);
+      });
+  });
+  it("PATCH:201 should accept vote in place of inc_votes", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader())
+          .send({ vote: 1 });
+      })
+      .then(({ body }) => {
+        expect(body.updated_article.votes).toBe(101);
+        expect(body.user_vote).toBe(1);
+      });
+  });
+  it("PATCH:201 should accept inc_votes and vote together when they agree", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: -1, vote: -1 })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.updated_article.votes).toBe(99);
+      });
+  });
+  it("PATCH:400 should return error if inc_votes and vote disagree", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1, vote: -1 })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Conflicting votes - send inc_votes or vote, not both"
+        );
+      });
+  });
+  it("PATCH:400 should return error if vote is anything other than 1, -1 or 0", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send({ vote: 2 })
+      .expect(400)
+      .then((response) => {
+        expect(response.body.msg).toBe("Invalid vote - must be 1, -1 or 0");
+      });
+  });
+  describe("PATCH with title and body", () => {
+    it("PATCH:201 should let the author edit the body and title and set edited_at", () => {
+      return request(app)
+        .patch("/api/articles/1")
+        .set("Authorization", authHeader())
+        .send({
+          title: "Living in the shadow of a great cat",
+          body: "I find this existence rewarding",
+        })
+        .expect(201)
+        .then(({ body }) => {
+          expect(body.updated_article).toMatchObject({
+            article_id: 1,
+            title: "Living in the shadow of a great cat",
+            body: "I find this existence rewarding",
+            votes: 100,
+            edited_at: expect.any(String),
+          });
+          expect(body).not.toHaveProperty("user_vote");
+        });
+    });
+    it("PATCH:201 should leave fields that are not sent unchanged", () => {
+      return request(app)
+        .patch("/api/articles/1")
+        .set("Authorization", authHeader())
+        .send({ body: "I find this existence rewarding" })
+        .then(({ body }) => {
+          expect(body.updated_article.title).toBe(
+            "Living in the shadow of a great man"
+          );
+        });
+    });
+    it("PATCH:201 should accept a vote alongside an edit", () => {
+      return request(app)
+        .patch("/api/articles/1")
+        .set("Authorization", authHeader())
+        .send({ body: "I find this existence rewarding", vote: 1 })
+        .then(({ body }) => {
+          expect(body.updated_article.body).toBe(
+            "I find this existence rewarding"
+          );
+          expect(body.updated_article.votes).toBe(101);
+          expect(body.user_vote).toBe(1);
+        });
+    });
+    it("PATCH:403 should return error if the caller is not the author", () => {
+      return request(app)
+        .patch("/api/articles/1")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "I find this existence rewarding" })
+        .expect(403)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Forbidden - only the author can edit this article"
+          );
+        });
+    });
+    it("PATCH:400 should return error if body is empty", () => {
+      return request(app)
+        .patch("/api/articles/1")
+        .set("Authorization", authHeader())
+        .send({ body: "  " })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid body - must be a non-empty string");
+        });
+    });
+    it("PATCH:400 should return error if there is nothing to update", () => {
+      return request(app)
+        .patch("/api/articles/1")
+        .set("Authorization", authHeader())
+        .send({ extra: "Hello fellow youngsters" })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Nothing to update - send inc_votes or vote or title or body"
+          );
+        });
+    });
+  });
+});
+
+describe("DELETE /api/articles/:article_id", () => {
+  it("DELETE:204 should return 204 status code", () => {
+    return request(app)
+      .delete("/api/articles/1")
+      .set("Authorization", authHeader())
+      .expect(204);
+  });
+  it("DELETE:204 should delete the article and all of its comments", () => {
+    return request(app)
+      .delete("/api/articles/1")
+      .set("Authorization", authHeader())
+      .then(() => {
+        return request(app).get("/api/articles/1").expect(404);
+      })
+      .then(() => {
+        return db.query(`SELECT * FROM comments WHERE article_id = 1;`);
+      })
+      .then(({ rows }) => {
+        expect(rows).toEqual([]);
+      });
+  });
+  it("DELETE:403 should return error if user is not an admin", () => {
+    return request(app)
+      .delete("/api/articles/1")
+      .set("Authorization", authHeader("rogersop"))
+      .expect(403)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Forbidden - admin role required");
+      });
+  });
+  it("DELETE:404 should return error if article does not exist", () => {
+    return request(app)
+      .delete("/api/articles/9999")
+      .set("Authorization", authHeader())
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Article ID not found");
+      });
+  });
+  it("DELETE:400 should return error if article ID is not a valid type", () => {
+    return request(app)
+      .delete("/api/articles/hamsandwich")
+      .set("Authorization", authHeader())
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Invalid article_id - must be a positive integer"
+        );
       });
   });
+  describe("DELETE /api/articles/:article_id?soft=true", () => {
+    it("DELETE:204 should hide the article from the API but keep its rows", () => {
+      return request(app)
+        .delete("/api/articles/1?soft=true")
+        .set("Authorization", authHeader())
+        .expect(204)
+        .then(() => {
+          return request(app).get("/api/articles/1").expect(404);
+        })
+        .then(() => {
+          return request(app).get("/api/articles");
+        })
+        .then(({ body }) => {
+          expect(body.total_count).toBe(12);
+          body.articles.forEach((article) => {
+            expect(article.article_id).not.toBe(1);
+          });
+          return db.query(`SELECT * FROM comments WHERE article_id = 1;`);
+        })
+        .then(({ rows }) => {
+          expect(rows).toHaveLength(11);
+          return db.query(
+            `SELECT deleted_at FROM articles WHERE article_id = 1;`
+          );
+        })
+        .then(({ rows }) => {
+          expect(rows[0].deleted_at).toBeInstanceOf(Date);
+        });
+    });
+    it("POST:404 should refuse comments on a soft deleted article without notifying anyone", () => {
+      return request(app)
+        .delete("/api/articles/1?soft=true")
+        .set("Authorization", authHeader())
+        .then(() => {
+          return request(app)
+            .post("/api/articles/1/comments")
+            .set("Authorization", authHeader("lurker"))
+            .send({ body: "Anyone there?" })
+            .expect(404);
+        })
+        .then(({ body }) => {
+          expect(body.msg).toBe("Entry not found");
+          return Promise.all([
+            db.query(`SELECT * FROM comments WHERE author = 'lurker';`),
+            db.query(`SELECT * FROM notifications WHERE actor = 'lurker';`),
+            db.query(`SELECT * FROM article_events WHERE article_id = 1;`),
+          ]);
+        })
+        .then((results) => {
+          results.forEach(({ rows }) => {
+            expect(rows).toHaveLength(0);
+          });
+        });
+    });
+    it("PATCH:404 should refuse votes on a soft deleted article and its comments", () => {
+      return request(app)
+        .delete("/api/articles/1?soft=true")
+        .set("Authorization", authHeader())
+        .then(() => {
+          return Promise.all([
+            request(app)
+              .patch("/api/articles/1")
+              .set("Authorization", authHeader("lurker"))
+              .send({ inc_votes: 1 })
+              .expect(404),
+            request(app)
+              .patch("/api/comments/2")
+              .set("Authorization", authHeader("lurker"))
+              .send({ inc_votes: 1 })
+              .expect(404),
+          ]);
+        })
+        .then(([articleResponse, commentResponse]) => {
+          expect(articleResponse.body.msg).toBe("Entry not found");
+          expect(commentResponse.body.msg).toBe("Comment not found");
+          return db.query(`SELECT * FROM votes WHERE username = 'lurker';`);
+        })
+        .then(({ rows }) => {
+          expect(rows).toHaveLength(0);
+        });
+    });
+    it("DELETE:404 should return error if article is already soft deleted", () => {
+      return request(app)
+        .delete("/api/articles/1?soft=true")
+        .set("Authorization", authHeader())
+        .then(() => {
+          return request(app)
+            .delete("/api/articles/1?soft=true")
+            .set("Authorization", authHeader())
+            .expect(404);
+        })
+        .then(({ body }) => {
+          expect(body.msg).toBe("Article ID not found");
+        });
+    });
+    it("DELETE:400 should return error if soft query is not true or false", () => {
+      return request(app)
+        .delete("/api/articles/1?soft=maybe")
+        .set("Authorization", authHeader())
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid soft query");
+        });
+    });
+  });
 });
 
 describe("DELETE /api/comments/:comment_id", () => {
   it("DELETE:204 should return 204 status code", () => {
-    return request(app).delete("/api/comments/1").expect(204);
+    return request(app)
+      .delete("/api/comments/1")
+      .set("Authorization", authHeader())
+      .expect(204);
   });
   it("DELETE:204 should delete the given comment from the database", () => {
     return request(app)
       .delete("/api/comments/10")
+      .set("Authorization", authHeader())
       .then(() => {
         return request(app).get("/api/articles");
       })
       .then(({ body }) => {
-        expect(body[0].comment_count).toBe(1);
+        expect(body.articles[0].comment_count).toBe(1);
       });
   });
   it("DELETE:404 should return error if comment does not exist", () => {
     return request(app)
       .delete("/api/comments/1000004848")
+      .set("Authorization", authHeader())
       .expect(404)
       .then((response) => {
         expect(response.body.msg).toBe("Comment does not exist");
       });
   });
+  it("DELETE:204 should allow the author of the comment to delete it", () => {
+    return request(app)
+      .delete("/api/comments/3")
+      .set("Authorization", authHeader("icellusedkars"))
+      .expect(204);
+  });
+  it("DELETE:204 should allow a moderator to delete any comment", () => {
+    return request(app)
+      .delete("/api/comments/1")
+      .set("Authorization", authHeader("rogersop"))
+      .expect(204);
+  });
+  it("DELETE:403 should return error if user is neither the author nor a moderator", () => {
+    return request(app)
+      .delete("/api/comments/1")
+      .set("Authorization", authHeader("icellusedkars"))
+      .expect(403)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Forbidden - only the author or a moderator can delete this comment"
+        );
+      });
+  });
+  it("DELETE:401 should return error if no token is given", () => {
+    return request(app)
+      .delete("/api/comments/1")
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Authentication required");
+      });
+  });
   it("DELETE:400 should return error if comment is not a valid type", () => {
     return request(app)
       .delete("/api/comments/batman")
+      .set("Authorization", authHeader())
       .expect(400)
       .then((response) => {
-        expect(response.body.msg).toBe("Bad request");
+        expect(response.body.msg).toBe(
+          "Invalid comment_id - must be a positive integer"
+        );
+      });
+  });
+  it("DELETE:204 should leave a placeholder if the comment has replies", () => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("icellusedkars"))
+      .send({ body: "I disagree", parent_comment_id: 2 })
+      .then(() => {
+        return request(app)
+          .delete("/api/comments/2")
+          .set("Authorization", authHeader())
+          .expect(204);
+      })
+      .then(() => {
+        return request(app).get(
+          "/api/articles/1/comments?format=tree&limit=20"
+        );
+      })
+      .then(({ body }) => {
+        const placeholder = body.comments.find(
+          (comment) => comment.comment_id === 2
+        );
+        expect(placeholder.body).toBe("[deleted]");
+        expect(placeholder.author).toBe(null);
+        expect(placeholder.replies[0].body).toBe("I disagree");
+      });
+  });
+  it("DELETE:204 should remove a placeholder once its last reply is deleted", () => {
+    const reply = (body, parent_comment_id) => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body, parent_comment_id })
+        .then(({ body }) => body.comment.comment_id);
+    };
+    const remove = (comment_id) => {
+      return request(app)
+        .delete(`/api/comments/${comment_id}`)
+        .set("Authorization", authHeader())
+        .expect(204);
+    };
+    let replyIds;
+    return reply("I disagree", 2)
+      .then((first) => {
+        return reply("So do I", first).then((second) => {
+          replyIds = [first, second];
+        });
+      })
+      .then(() => remove(2))
+      .then(() => remove(replyIds[0]))
+      .then(() => {
+        return db.query(
+          `SELECT comment_id, body FROM comments WHERE comment_id = ANY($1);`,
+          [[2, ...replyIds]]
+        );
+      })
+      .then(({ rows }) => {
+        expect(rows.map(({ body }) => body).sort()).toEqual([
+          "So do I",
+          "[deleted]",
+          "[deleted]",
+        ]);
+        return remove(replyIds[1]);
+      })
+      .then(() => {
+        return db.query(`SELECT * FROM comments WHERE comment_id = ANY($1);`, [
+          [2, ...replyIds],
+        ]);
+      })
+      .then(({ rows }) => {
+        expect(rows).toHaveLength(0);
+      });
+  });
+  it("DELETE:204 should keep a placeholder while it still has replies", () => {
+    const reply = (body) => {
+      return request(app)
+        .post("/api/articles/1/comments")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body, parent_comment_id: 2 })
+        .then(({ body }) => body.comment.comment_id);
+    };
+    return Promise.all([reply("First"), reply("Second")])
+      .then((replyIds) => {
+        return request(app)
+          .delete("/api/comments/2")
+          .set("Authorization", authHeader())
+          .then(() => {
+            return request(app)
+              .delete(`/api/comments/${replyIds[0]}`)
+              .set("Authorization", authHeader());
+          });
+      })
+      .then(() => {
+        return db.query(`SELECT body FROM comments WHERE comment_id = 2;`);
+      })
+      .then(({ rows }) => {
+        expect(rows).toEqual([{ body: "[deleted]" }]);
       });
   });
+  it("should only let placeholder comments go without an author", () => {
+    return db
+      .query(
+        `INSERT INTO comments (body, author, article_id) VALUES ('Who wrote this?', NULL, 1);`
+      )
+      .then(
+        () => Promise.reject(new Error("Expected the insert to fail")),
+        (err) => {
+          expect(err.constraint).toBe("comments_author_check");
+        }
+      );
+  });
 });
 
 describe("GET /api/users", () => {
@@ -504,77 +1973,3087 @@ describe("GET /api/users/:username", () => {
         expect(response.body.msg).toBe("Username not found");
       });
   });
-});
-
-describe("PATCH, /api/comments/:comment_id", () => {
-  it("PATCH:201 should return 201 status code", () => {
+  it("GET:200 should include the user's activity statistics", () => {
     return request(app)
-      .patch("/api/comments/1")
-      .send({ inc_votes: 1 })
-      .expect(201);
+      .get("/api/users/butter_bridge")
+      .then(({ body }) => {
+        expect(body).toMatchObject({
+          article_count: 4,
+          comment_count: 5,
+          total_article_votes: 100,
+          total_comment_votes: 48,
+        });
+      });
   });
-  it("PATCH:201 should increment votes of passed article by the amount given in the req", () => {
+  it("GET:200 statistics should be zero for a user with no activity", () => {
     return request(app)
-      .patch("/api/comments/1")
-      .send({ inc_votes: 2 })
+      .get("/api/users/lurker")
       .then(({ body }) => {
-        const templateComment = {
-          comment_id: 1,
-          body: "Oh, I've got compassion running out of my nose, pal! I'm the Sultan of Sentiment!",
-          article_id: 9,
-          author: "butter_bridge",
-          votes: 18,
-          created_at: "2020-04-06T12:17:00.000Z",
-        };
-        expect(body.updated_comment).toMatchObject(templateComment);
+        expect(body).toMatchObject({
+          article_count: 0,
+          comment_count: 0,
+          total_article_votes: 0,
+          total_comment_votes: 0,
+        });
       });
   });
-  it("PATCH:404 should return error if article ID does not exist", () => {
+});
+
+describe("POST /api/users", () => {
+  it("POST:201 should add a user and serve it back", () => {
     return request(app)
-      .patch("/api/comments/9999")
-      .send({ inc_votes: 2 })
-      .expect(404)
-      .then((response) => {
-        expect(response.body.msg).toBe("Comment not found");
+      .post("/api/users")
+      .send({
+        username: "new_user_1",
+        name: "New User",
+        avatar_url: "https://example.com/avatar.png",
+        password: "correct horse",
+      })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.user).toEqual({
+          username: "new_user_1",
+          name: "New User",
+          avatar_url: "https://example.com/avatar.png",
+          role: "reader",
+        });
+        expect(body.token).toEqual(expect.any(String));
+        return request(app)
+          .post("/api/auth/login")
+          .send({ username: "new_user_1", password: "correct horse" })
+          .expect(200);
       });
   });
-  it("PATCH:400 should return error if given invalid article ID", () => {
+  it("POST:400 should require a password of at least 8 characters", () => {
+    return Promise.all([
+      request(app)
+        .post("/api/users")
+        .send({ username: "new_user", name: "New" })
+        .expect(400),
+      request(app)
+        .post("/api/users")
+        .send({ username: "new_user", name: "New", password: "short" })
+        .expect(400),
+    ]).then(([missing, short]) => {
+      expect(missing.body.msg).toBe(
+        "Missing required fields - user could not be added"
+      );
+      expect(short.body.msg).toBe("Password must be at least 8 characters");
+    });
+  });
+  it("POST:400 should reject a badly formatted username", () => {
     return request(app)
-      .patch("/api/comments/hamsandwich")
-      .send({ inc_votes: 2 })
+      .post("/api/users")
+      .send({
+        username: "Not Valid!",
+        name: "New User",
+        password: "correct horse",
+      })
       .expect(400)
-      .then((response) => {
-        expect(response.body.msg).toBe("Bad request");
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Invalid username - use 3 to 30 lowercase letters, numbers and underscores"
+        );
       });
   });
-  it("PATCH:400 should return error if given improperly formatted req", () => {
+  it("POST:400 should reject an avatar_url that is not an http(s) URL", () => {
     return request(app)
-      .patch("/api/comments/1")
-      .send({ inc_votes: "ello" })
+      .post("/api/users")
+      .send({
+        username: "new_user",
+        name: "New",
+        avatar_url: "javascript:1",
+        password: "correct horse",
+      })
       .expect(400)
-      .then((response) => {
-        expect(response.body.msg).toBe("Bad request");
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Invalid avatar_url - must be an http or https URL"
+        );
       });
   });
-  it("PATCH:201 should ignore unecessary additional properties", () => {
+  it("POST:400 should not let a new account choose its role", () => {
     return request(app)
-      .patch("/api/comments/1")
+      .post("/api/users")
       .send({
-        inc_votes: 3,
-        extra: 500,
-        extra2: "Hello fellow youngsters",
+        username: "new_user",
+        name: "New",
+        role: "admin",
+        password: "correct horse",
+      })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Unknown field - role");
+      });
+  });
+  it("POST:400 should reject the reserved deleted_user name", () => {
+    return request(app)
+      .post("/api/users")
+      .send({
+        username: "deleted_user",
+        name: "Sneaky",
+        password: "correct horse",
+      })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username is reserved");
+      });
+  });
+  it("POST:409 should reject a username that is already taken", () => {
+    return request(app)
+      .post("/api/users")
+      .send({
+        username: "lurker",
+        name: "Copycat",
+        password: "correct horse",
+      })
+      .expect(409)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username already taken");
+      });
+  });
+});
+
+describe("PATCH /api/users/:username", () => {
+  it("PATCH:200 should let a user update their own name and avatar_url", () => {
+    return request(app)
+      .patch("/api/users/lurker")
+      .set("Authorization", authHeader("lurker"))
+      .send({ name: "Still Lurking", avatar_url: "http://example.com/me.jpg" })
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.user).toEqual({
+          username: "lurker",
+          name: "Still Lurking",
+          avatar_url: "http://example.com/me.jpg",
+          role: "reader",
+        });
+      });
+  });
+  it("PATCH:200 should let an admin update another user and keep unsent fields", () => {
+    return request(app)
+      .patch("/api/users/lurker")
+      .set("Authorization", authHeader())
+      .send({ name: "Renamed" })
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.user.name).toBe("Renamed");
+        expect(body.user.avatar_url).toBe(
+          "https://www.golenbock.com/wp-content/uploads/2015/01/placeholder-user.png"
+        );
+      });
+  });
+  it("PATCH:400 should reject a request with nothing to update", () => {
+    return request(app)
+      .patch("/api/users/lurker")
+      .set("Authorization", authHeader("lurker"))
+      .send({ username: "renamed" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Nothing to update - send name or avatar_url");
+      });
+  });
+  it("PATCH:400 should reject an invalid avatar_url", () => {
+    return request(app)
+      .patch("/api/users/lurker")
+      .set("Authorization", authHeader("lurker"))
+      .send({ avatar_url: "not a url" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Invalid avatar_url - must be an http or https URL"
+        );
+      });
+  });
+  it("PATCH:403 should stop users changing someone else's account", () => {
+    return request(app)
+      .patch("/api/users/lurker")
+      .set("Authorization", authHeader("rogersop"))
+      .send({ name: "Hacked" })
+      .expect(403)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Forbidden - you can only change your own account"
+        );
+      });
+  });
+  it("PATCH:404 should return error if user does not exist", () => {
+    return request(app)
+      .patch("/api/users/frankenstein")
+      .set("Authorization", authHeader())
+      .send({ name: "Igor" })
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username not found");
+      });
+  });
+});
+
+describe("DELETE /api/users/:username", () => {
+  it("DELETE:204 should delete the user and reassign their content to deleted_user", () => {
+    return request(app)
+      .delete("/api/users/icellusedkars")
+      .set("Authorization", authHeader("icellusedkars"))
+      .expect(204)
+      .then(() => {
+        return request(app).get("/api/users/icellusedkars").expect(404);
+      })
+      .then(() => {
+        return request(app).get("/api/users/deleted_user/articles?limit=20");
+      })
+      .then(({ body }) => {
+        expect(body.total_count).toBe(6);
+        return db.query(
+          `SELECT COUNT(*)::INT AS count FROM comments WHERE author = 'deleted_user';`
+        );
+      })
+      .then(({ rows }) => {
+        expect(rows[0].count).toBe(13);
+      });
+  });
+  it("DELETE:204 should leave deleted_user out of the user list", () => {
+    return request(app)
+      .delete("/api/users/lurker")
+      .set("Authorization", authHeader())
+      .expect(204)
+      .then(() => {
+        return request(app).get("/api/users");
+      })
+      .then(({ body }) => {
+        expect(body).toHaveLength(3);
+        body.forEach((user) => {
+          expect(user.username).not.toBe("deleted_user");
+        });
+      });
+  });
+  it("DELETE:204 should take the user's votes off the article and comment totals", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader("lurker"))
+      .send({ inc_votes: 1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/comments/1")
+          .set("Authorization", authHeader("lurker"))
+          .send({ inc_votes: -1 });
+      })
+      .then(() => {
+        return request(app)
+          .delete("/api/users/lurker")
+          .set("Authorization", authHeader("lurker"))
+          .expect(204);
+      })
+      .then(() => request(app).get("/api/articles/1"))
+      .then(({ body }) => {
+        expect(body.article.votes).toBe(100);
+        return db.query(`SELECT votes FROM comments WHERE comment_id = 1;`);
+      })
+      .then(({ rows }) => {
+        expect(rows[0].votes).toBe(16);
+      });
+  });
+  it("DELETE:204 should stop the deleted user's token from working", () => {
+    return request(app)
+      .delete("/api/users/lurker")
+      .set("Authorization", authHeader("lurker"))
+      .expect(204)
+      .then(() => {
+        return request(app)
+          .post("/api/articles/1/comments")
+          .set("Authorization", authHeader("lurker"))
+          .send({ body: "Still here?" })
+          .expect(401);
       })
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid or expired token");
+      });
+  });
+  it("DELETE:403 should stop users deleting someone else's account", () => {
+    return request(app)
+      .delete("/api/users/lurker")
+      .set("Authorization", authHeader("rogersop"))
+      .expect(403);
+  });
+  it("DELETE:400 should refuse to delete the reserved deleted_user", () => {
+    return request(app)
+      .delete("/api/users/deleted_user")
+      .set("Authorization", authHeader())
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username is reserved");
+      });
+  });
+  it("DELETE:404 should return error if user does not exist", () => {
+    return request(app)
+      .delete("/api/users/frankenstein")
+      .set("Authorization", authHeader())
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username not found");
+      });
+  });
+});
+
+describe("GET /api/users/:username/articles", () => {
+  it("GET:200 should serve a page of the user's articles with a total_count", () => {
+    return request(app)
+      .get("/api/users/icellusedkars/articles?limit=4")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.articles).toHaveLength(4);
+        expect(body.total_count).toBe(6);
+        body.articles.forEach((article) => {
+          expect(article.author).toBe("icellusedkars");
+          expect(article).toHaveProperty("comment_count", expect.any(Number));
+        });
+        expect(body.articles).toBeSortedBy("created_at", { descending: true });
+      });
+  });
+  it("GET:200 should accept sort_by, order and p queries", () => {
+    return request(app)
+      .get(
+        "/api/users/icellusedkars/articles?sort_by=title&order=asc&limit=4&p=2"
+      )
+      .then(({ body }) => {
+        expect(body.articles).toHaveLength(2);
+        expect(body.articles).toBeSortedBy("title", { ascending: true });
+      });
+  });
+  it("GET:200 should serve an empty array for a user with no articles", () => {
+    return request(app)
+      .get("/api/users/lurker/articles")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.articles).toEqual([]);
+        expect(body.total_count).toBe(0);
+      });
+  });
+  it("GET:404 should return error if user does not exist", () => {
+    return request(app)
+      .get("/api/users/frankenstein/articles")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username not found");
+      });
+  });
+  it("GET:400 should return error if limit is not a positive number", () => {
+    return request(app)
+      .get("/api/users/icellusedkars/articles?limit=all")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid limit query");
+      });
+  });
+});
+
+describe("GET /api/users/:username/comments", () => {
+  it("GET:200 should serve a page of the user's comments with a total_count", () => {
+    return request(app)
+      .get("/api/users/icellusedkars/comments")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.comments).toHaveLength(10);
+        expect(body.total_count).toBe(13);
+        body.comments.forEach((comment) => {
+          expect(comment.author).toBe("icellusedkars");
+          expect(comment).toHaveProperty("article_title", expect.any(String));
+        });
+        expect(body.comments).toBeSortedBy("created_at", { descending: true });
+      });
+  });
+  it("GET:200 should accept sort_by, order, limit and p queries", () => {
+    return request(app)
+      .get(
+        "/api/users/icellusedkars/comments?sort_by=votes&order=asc&limit=5&p=3"
+      )
+      .then(({ body }) => {
+        expect(body.comments).toHaveLength(3);
+        expect(body.comments).toBeSortedBy("votes", { ascending: true });
+      });
+  });
+  it("GET:200 should serve an empty array for a user with no comments", () => {
+    return request(app)
+      .get("/api/users/lurker/comments")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.comments).toEqual([]);
+        expect(body.total_count).toBe(0);
+      });
+  });
+  it("GET:400 should throw error if sort_by is not votes or created_at", () => {
+    return request(app)
+      .get("/api/users/icellusedkars/comments?sort_by=body")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid sort query");
+      });
+  });
+  it("GET:404 should return error if user does not exist", () => {
+    return request(app)
+      .get("/api/users/frankenstein/comments")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username not found");
+      });
+  });
+});
+
+describe("PATCH, /api/comments/:comment_id", () => {
+  it("PATCH:201 should return 201 status code", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .expect(201);
+  });
+  it("PATCH:201 should add the caller's vote to the comment and return the updated total and their vote", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
       .then(({ body }) => {
         const templateComment = {
           comment_id: 1,
           body: "Oh, I've got compassion running out of my nose, pal! I'm the Sultan of Sentiment!",
           article_id: 9,
           author: "butter_bridge",
-          votes: 19,
-          created_at: "2020-04-06T12:17:00.000Z",
+          votes: 17,
+          created_at: new Date(data.commentData[0].created_at).toISOString(),
         };
-        const comment = body.updated_comment;
-        expect(comment).toMatchObject(templateComment);
+        expect(body.updated_comment).toMatchObject(templateComment);
+        expect(body.user_vote).toBe(1);
+      });
+  });
+  it("PATCH:201 should only count one vote per user and let them change it", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/comments/1")
+          .set("Authorization", authHeader())
+          .send({ inc_votes: 1 });
+      })
+      .then(({ body }) => {
+        expect(body.updated_comment.votes).toBe(17);
+        return request(app)
+          .patch("/api/comments/1")
+          .set("Authorization", authHeader())
+          .send({ inc_votes: -1 });
+      })
+      .then(({ body }) => {
+        expect(body.updated_comment.votes).toBe(15);
+        expect(body.user_vote).toBe(-1);
+      });
+  });
+  it("PATCH:404 should return error if article ID does not exist", () => {
+    return request(app)
+      .patch("/api/comments/9999")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .expect(404)
+      .then((response) => {
+        expect(response.body.msg).toBe("Comment not found");
+      });
+  });
+  it("PATCH:400 should return error if given invalid article ID", () => {
+    return request(app)
+      .patch("/api/comments/hamsandwich")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 1 })
+      .expect(400)
+      .then((response) => {
+        expect(response.body.msg).toBe(
+          "Invalid comment_id - must be a positive integer"
+        );
+      });
+  });
+  it("PATCH:400 should return error if given improperly formatted req", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: "ello" })
+      .expect(400)
+      .then((response) => {
+        expect(response.body.msg).toBe(
+          "Invalid inc_votes - must be 1, -1 or 0"
+        );
+      });
+  });
+  it("PATCH:400 should reject unknown properties", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({
+        inc_votes: 1,
+        extra: 500,
+      })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Unknown field - extra");
+      });
+  });
+  it("PATCH:201 should accept vote in place of inc_votes", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: -1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/comments/1")
+          .set("Authorization", authHeader())
+          .send({ vote: 0 });
+      })
+      .then(({ body }) => {
+        expect(body.updated_comment.votes).toBe(16);
+        expect(body.user_vote).toBe(0);
+      });
+  });
+  it("PATCH:400 should return error if inc_votes and vote disagree", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ inc_votes: 0, vote: 1 })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Conflicting votes - send inc_votes or vote, not both"
+        );
+      });
+  });
+  describe("PATCH with body", () => {
+    it("PATCH:201 should let the author edit the body and set edited_at", () => {
+      return request(app)
+        .patch("/api/comments/1")
+        .set("Authorization", authHeader())
+        .send({ body: "Oh, I've got compassion running out of my ears, pal!" })
+        .expect(201)
+        .then(({ body }) => {
+          expect(body.updated_comment).toMatchObject({
+            comment_id: 1,
+            body: "Oh, I've got compassion running out of my ears, pal!",
+            votes: 16,
+            edited_at: expect.any(String),
+          });
+        });
+    });
+    it("PATCH:403 should return error if the caller is not the author", () => {
+      return request(app)
+        .patch("/api/comments/1")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ body: "Not my comment" })
+        .expect(403)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Forbidden - only the author can edit this comment"
+          );
+        });
+    });
+    it("PATCH:404 should return error if comment does not exist", () => {
+      return request(app)
+        .patch("/api/comments/9999")
+        .set("Authorization", authHeader())
+        .send({ body: "Not a comment" })
+        .expect(404)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Comment not found");
+        });
+    });
+  });
+});
+
+describe("GET /api/search", () => {
+  it("GET:200 should return matching articles and comments, each labelled with its type", () => {
+    return request(app)
+      .get("/api/search?q=delicious")
+      .expect(200)
+      .then(({ body }) => {
+        const { results } = body;
+        expect(results).toHaveLength(2);
+        expect(body.total_count).toBe(2);
+        const types = results.map((result) => result.type);
+        expect(types).toEqual(expect.arrayContaining(["article", "comment"]));
+        results.forEach((result) => {
+          expect(result).toHaveProperty("article_id", expect.any(Number));
+          expect(result).toHaveProperty("title", expect.any(String));
+          expect(result).toHaveProperty("author", expect.any(String));
+          expect(result).toHaveProperty("created_at", expect.any(String));
+          expect(result).toHaveProperty("rank", expect.any(Number));
+          expect(result).toHaveProperty("snippet", expect.any(String));
+        });
+        const comment = results.find((result) => result.type === "comment");
+        expect(comment.comment_id).toEqual(expect.any(Number));
+        const article = results.find((result) => result.type === "article");
+        expect(article.comment_id).toBe(null);
       });
   });
+  it("GET:200 should highlight the matched terms in the snippet", () => {
+    return request(app)
+      .get("/api/search?q=owls")
+      .then(({ body }) => {
+        expect(body.results[0].snippet).toContain("<mark>owls</mark>");
+      });
+  });
+  it("GET:200 should escape HTML in the text around the highlights", () => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .set("Authorization", authHeader())
+      .send({ body: "pelicans <img src=x onerror=alert(1)> are pelicans" })
+      .then(() => request(app).get("/api/search?q=pelicans"))
+      .then(({ body }) => {
+        const { snippet } = body.results[0];
+        expect(snippet).not.toContain("<img");
+        expect(snippet).toContain("&lt;img");
+        expect(snippet).toContain("<mark>pelicans</mark>");
+      });
+  });
+  it("GET:200 should match different forms of the same word", () => {
+    return request(app)
+      .get("/api/search?q=noses")
+      .then(({ body }) => {
+        expect(body.results).toHaveLength(2);
+        body.results.forEach((result) => {
+          expect(result.type).toBe("comment");
+        });
+      });
+  });
+  it("GET:200 should order results by rank, best match first", () => {
+    return request(app)
+      .get("/api/search?q=cat")
+      .then(({ body }) => {
+        expect(body.results).toBeSortedBy("rank", { descending: true });
+        expect(body.results[0].title).toBe("Am I a cat?");
+      });
+  });
+  it("GET:200 should not include soft deleted articles", () => {
+    return request(app)
+      .delete("/api/articles/11?soft=true")
+      .set("Authorization", authHeader())
+      .then(() => {
+        return request(app).get("/api/search?q=cat");
+      })
+      .then(({ body }) => {
+        body.results.forEach((result) => {
+          expect(result.article_id).not.toBe(11);
+        });
+      });
+  });
+  it("GET:200 should return an empty array if nothing matches", () => {
+    return request(app)
+      .get("/api/search?q=trebuchet")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.results).toEqual([]);
+        expect(body.total_count).toBe(0);
+      });
+  });
+  it("GET:200 should accept limit and p queries", () => {
+    return request(app)
+      .get("/api/search?q=cat&limit=1&p=2")
+      .then(({ body }) => {
+        expect(body.results).toHaveLength(1);
+        expect(body.total_count).toBeGreaterThan(1);
+      });
+  });
+  it("GET:400 should return error if q is missing or empty", () => {
+    return Promise.all([
+      request(app).get("/api/search").expect(400),
+      request(app).get("/api/search?q=%20").expect(400),
+    ]).then(([missingResponse, emptyResponse]) => {
+      expect(missingResponse.body.msg).toBe("Search query required");
+      expect(emptyResponse.body.msg).toBe("Search query required");
+    });
+  });
+});
+
+describe("POST /api/auth/register", () => {
+  it("POST:400 should list every missing field", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({ name: "mitch" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Missing required fields - user could not be registered"
+        );
+        expect(body.details.map(({ field }) => field)).toEqual([
+          "username",
+          "password",
+        ]);
+      });
+  });
+  it("POST:201 should create a new user and respond with the user and a token", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({
+        username: "mitch_fan",
+        name: "mitch",
+        avatar_url: "https://example.com/mitch.png",
+        password: "correct horse",
+      })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.user).toEqual({
+          username: "mitch_fan",
+          name: "mitch",
+          avatar_url: "https://example.com/mitch.png",
+          role: "reader",
+        });
+        expect(body.token).toEqual(expect.any(String));
+      });
+  });
+  it("POST:201 should store a salted hash rather than the password itself", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({ username: "mitch_fan", name: "mitch", password: "correct horse" })
+      .then(() => {
+        return db.query(
+          `SELECT password_hash FROM users WHERE username = 'mitch_fan';`
+        );
+      })
+      .then(({ rows }) => {
+        expect(rows[0].password_hash).not.toBe("correct horse");
+        expect(rows[0].password_hash).toMatch(/^\$2[aby]\$/);
+      });
+  });
+  it("POST:201 the token should be accepted by protected routes", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({ username: "mitch_fan", name: "mitch", password: "correct horse" })
+      .then(({ body }) => {
+        return request(app)
+          .post("/api/articles/1/comments")
+          .set("Authorization", `Bearer ${body.token}`)
+          .send({ body: "First!" })
+          .expect(201);
+      })
+      .then(({ body }) => {
+        expect(body.comment.author).toBe("mitch_fan");
+      });
+  });
+  it("GET:200 users should never be served with their password hash", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({ username: "mitch_fan", name: "mitch", password: "correct horse" })
+      .then(() => {
+        return request(app).get("/api/users/mitch_fan");
+      })
+      .then(({ body }) => {
+        expect(body).not.toHaveProperty("password_hash");
+      });
+  });
+  it("POST:400 should return error if a required field is missing", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({ username: "mitch_fan", password: "correct horse" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Missing required fields - user could not be registered"
+        );
+      });
+  });
+  it("POST:400 should return error if password is too short", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({ username: "mitch_fan", name: "mitch", password: "mitch" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Password must be at least 8 characters");
+      });
+  });
+  it("POST:409 should return error if username is already taken", () => {
+    return request(app)
+      .post("/api/auth/register")
+      .send({ username: "butter_bridge", name: "jonny", password: "lime1234" })
+      .expect(409)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username already taken");
+      });
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  beforeEach(() => {
+    return request(app).post("/api/auth/register").send({
+      username: "mitch_fan",
+      name: "mitch",
+      password: "correct horse",
+    });
+  });
+  it("POST:200 should respond with the user and a token when credentials are correct", () => {
+    return request(app)
+      .post("/api/auth/login")
+      .send({ username: "mitch_fan", password: "correct horse" })
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.user).toEqual({
+          username: "mitch_fan",
+          name: "mitch",
+          avatar_url: null,
+          role: "reader",
+        });
+        expect(body.token).toEqual(expect.any(String));
+      });
+  });
+  it("POST:401 should return error if password is wrong", () => {
+    return request(app)
+      .post("/api/auth/login")
+      .send({ username: "mitch_fan", password: "battery staple" })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid username or password");
+      });
+  });
+  it("POST:401 should return error if user does not exist", () => {
+    return request(app)
+      .post("/api/auth/login")
+      .send({ username: "BabeRuth", password: "correct horse" })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid username or password");
+      });
+  });
+  it("POST:401 should return error if user has no password set", () => {
+    return request(app)
+      .post("/api/auth/login")
+      .send({ username: "butter_bridge", password: "correct horse" })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid username or password");
+      });
+  });
+  it("POST:400 should return error if a required field is missing", () => {
+    return request(app)
+      .post("/api/auth/login")
+      .send({ username: "mitch_fan" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Missing required fields - could not log in");
+      });
+  });
+});
+
+describe("GET /api/users/:username/votes", () => {
+  it("GET:200 should list everything the user has voted on, most recent first", () => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader("lurker"))
+      .send({ vote: 1 })
+      .then(() => {
+        return request(app)
+          .patch("/api/comments/1")
+          .set("Authorization", authHeader("lurker"))
+          .send({ vote: -1 });
+      })
+      .then(() => {
+        return request(app).get("/api/users/lurker/votes").expect(200);
+      })
+      .then(({ body }) => {
+        const { votes } = body;
+        expect(votes).toHaveLength(2);
+        expect(votes).toBeSortedBy("voted_at", { descending: true });
+        expect(votes).toEqual(
+          expect.arrayContaining([
+            {
+              type: "article",
+              article_id: 1,
+              comment_id: null,
+              vote: 1,
+              voted_at: expect.any(String),
+            },
+            {
+              type: "comment",
+              article_id: 9,
+              comment_id: 1,
+              vote: -1,
+              voted_at: expect.any(String),
+            },
+          ])
+        );
+      });
+  });
+  it("GET:200 should return an empty array if the user has not voted", () => {
+    return request(app)
+      .get("/api/users/lurker/votes")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.votes).toEqual([]);
+      });
+  });
+  it("GET:404 should return error if user does not exist", () => {
+    return request(app)
+      .get("/api/users/frankenstein/votes")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username not found");
+      });
+  });
+});
+
+describe("GET /api/articles/:article_id/revisions", () => {
+  const editArticle = (changes) => {
+    return request(app)
+      .patch("/api/articles/1")
+      .set("Authorization", authHeader())
+      .send(changes);
+  };
+  it("GET:200 should list only the current version if the article has not been edited", () => {
+    return request(app)
+      .get("/api/articles/1/revisions")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.revisions).toEqual([
+          {
+            version: 1,
+            title: "Living in the shadow of a great man",
+            body: "I find this existence challenging",
+            created_at: new Date(data.articleData[0].created_at).toISOString(),
+          },
+        ]);
+      });
+  });
+  it("GET:200 should list every earlier version, oldest first, ending with the current one", () => {
+    return editArticle({ body: "I find this existence rewarding" })
+      .then(() => editArticle({ title: "Living in the shadow of a great cat" }))
+      .then(() => request(app).get("/api/articles/1/revisions"))
+      .then(({ body }) => {
+        const { revisions } = body;
+        expect(revisions).toHaveLength(3);
+        expect(revisions.map(({ version }) => version)).toEqual([1, 2, 3]);
+        expect(revisions[0].body).toBe("I find this existence challenging");
+        expect(revisions[1].body).toBe("I find this existence rewarding");
+        expect(revisions[1].title).toBe("Living in the shadow of a great man");
+        expect(revisions[2].title).toBe("Living in the shadow of a great cat");
+        revisions.forEach((revision) => {
+          expect(revision).toHaveProperty("created_at", expect.any(String));
+        });
+      });
+  });
+  it("GET:200 should show a diff between the two versions given by from and to", () => {
+    return editArticle({ body: "I find this existence rewarding" })
+      .then(() => request(app).get("/api/articles/1/revisions?from=1&to=2"))
+      .then(({ body }) => {
+        expect(body.diff).toEqual({
+          from: 1,
+          to: 2,
+          title: [
+            { type: "unchanged", value: "Living in the shadow of a great man" },
+          ],
+          body: [
+            { type: "unchanged", value: "I find this existence " },
+            { type: "removed", value: "challenging" },
+            { type: "added", value: "rewarding" },
+          ],
+        });
+      });
+  });
+  it("GET:200 should diff against the current version if to is not given", () => {
+    return editArticle({ body: "I find this existence rewarding" })
+      .then(() => request(app).get("/api/articles/1/revisions?from=1"))
+      .then(({ body }) => {
+        expect(body.diff.from).toBe(1);
+        expect(body.diff.to).toBe(2);
+      });
+  });
+  it("GET:404 should return error if a version does not exist", () => {
+    return request(app)
+      .get("/api/articles/1/revisions?from=1&to=5")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Revision not found");
+      });
+  });
+  it("GET:400 should refuse to diff two large bodies with nothing in common", () => {
+    const words = (prefix) => {
+      return Array.from({ length: 1000 }, (_, i) => `${prefix}${i}`).join(" ");
+    };
+    return editArticle({ body: words("cat") })
+      .then(() => editArticle({ body: words("dog") }))
+      .then(() => {
+        return request(app)
+          .get("/api/articles/1/revisions?from=2&to=3")
+          .expect(400);
+      })
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Revisions too different to diff - fetch them without from and to instead"
+        );
+      });
+  });
+  it("GET:400 should return error if from or to are not positive numbers", () => {
+    return request(app)
+      .get("/api/articles/1/revisions?from=first")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid revision query");
+      });
+  });
+  it("GET:404 should return error if the article is soft deleted", () => {
+    return request(app)
+      .delete("/api/articles/1?soft=true")
+      .set("Authorization", authHeader())
+      .expect(204)
+      .then(() => request(app).get("/api/articles/1/revisions").expect(404))
+      .then(({ body }) => {
+        expect(body.msg).toBe("Entry not found");
+        return request(app).get("/api/comments/2/revisions").expect(404);
+      })
+      .then(({ body }) => {
+        expect(body.msg).toBe("Comment not found");
+      });
+  });
+  it("GET:404 should return error if article does not exist", () => {
+    return request(app)
+      .get("/api/articles/9999/revisions")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Entry not found");
+      });
+  });
+});
+
+describe("GET /api/comments/:comment_id/revisions", () => {
+  it("GET:200 should list every version of the comment", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ body: "Edited" })
+      .then(() => request(app).get("/api/comments/1/revisions").expect(200))
+      .then(({ body }) => {
+        expect(body.revisions).toHaveLength(2);
+        expect(body.revisions[0]).toEqual({
+          version: 1,
+          body: "Oh, I've got compassion running out of my nose, pal! I'm the Sultan of Sentiment!",
+          created_at: new Date(data.commentData[0].created_at).toISOString(),
+        });
+        expect(body.revisions[1]).toMatchObject({ version: 2, body: "Edited" });
+      });
+  });
+  it("GET:200 should show a diff between two versions", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ body: "Edited" })
+      .then(() => request(app).get("/api/comments/1/revisions?from=2&to=1"))
+      .then(({ body }) => {
+        expect(body.diff.from).toBe(2);
+        expect(body.diff.to).toBe(1);
+        expect(body.diff.body[0]).toEqual({ type: "removed", value: "Edited" });
+        expect(body.diff).not.toHaveProperty("title");
+      });
+  });
+  it("GET:200 should keep no earlier versions once the comment is replaced by a placeholder", () => {
+    return request(app)
+      .patch("/api/comments/1")
+      .set("Authorization", authHeader())
+      .send({ body: "Edited" })
+      .then(() => {
+        return db.query(
+          `SELECT article_id FROM comments WHERE comment_id = 1;`
+        );
+      })
+      .then(({ rows }) => {
+        return request(app)
+          .post(`/api/articles/${rows[0].article_id}/comments`)
+          .set("Authorization", authHeader("lurker"))
+          .send({ body: "A reply", parent_comment_id: 1 })
+          .expect(201);
+      })
+      .then(() => {
+        return request(app)
+          .delete("/api/comments/1")
+          .set("Authorization", authHeader())
+          .expect(204);
+      })
+      .then(() => request(app).get("/api/comments/1/revisions").expect(200))
+      .then(({ body }) => {
+        expect(body.revisions).toHaveLength(1);
+        expect(body.revisions[0]).toMatchObject({
+          version: 1,
+          body: "[deleted]",
+        });
+      });
+  });
+  it("GET:404 should return error if comment does not exist", () => {
+    return request(app)
+      .get("/api/comments/9999/revisions")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Comment not found");
+      });
+  });
+});
+
+describe("/api/v2", () => {
+  it("GET:200 should serve the endpoints", () => {
+    return request(app)
+      .get("/api/v2")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.endpoints).toEqual(endpoints);
+      });
+  });
+  it("GET:200 should wrap the list of users in a users envelope", () => {
+    return request(app)
+      .get("/api/v2/users")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.users).toHaveLength(4);
+      });
+  });
+  it("GET:200 should wrap a single user in a user envelope", () => {
+    return request(app)
+      .get("/api/v2/users/lurker")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.user).toMatchObject({
+          username: "lurker",
+          article_count: 0,
+        });
+      });
+  });
+  it("PATCH:201 should serve the updated article as article", () => {
+    return request(app)
+      .patch("/api/v2/articles/1")
+      .set("Authorization", authHeader("lurker"))
+      .send({ vote: 1 })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.article).toMatchObject({ article_id: 1, votes: 101 });
+        expect(body.user_vote).toBe(1);
+        expect(body).not.toHaveProperty("updated_article");
+      });
+  });
+  it("PATCH:201 should serve the updated comment as comment", () => {
+    return request(app)
+      .patch("/api/v2/comments/1")
+      .set("Authorization", authHeader("lurker"))
+      .send({ vote: -1 })
+      .expect(201)
+      .then(({ body }) => {
+        expect(body.comment).toMatchObject({ comment_id: 1, votes: 15 });
+        expect(body.user_vote).toBe(-1);
+        expect(body).not.toHaveProperty("updated_comment");
+      });
+  });
+  it("GET:200 should keep the envelopes that were already consistent", () => {
+    return request(app)
+      .get("/api/v2/articles/1/comments")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.comments).toHaveLength(10);
+        expect(body.total_count).toBe(11);
+      });
+  });
+  it("GET:404 should serve errors with a code, msg and details", () => {
+    return request(app)
+      .get("/api/v2/not-a-route")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body).toEqual({
+          error: { code: "NOT_FOUND", msg: "Path not found", details: null },
+        });
+      });
+  });
+  it("POST:409 should use the error envelope for database errors", () => {
+    return request(app)
+      .post("/api/v2/topics")
+      .set("Authorization", authHeader())
+      .send({ slug: "cats", description: "Copycat" })
+      .expect(409)
+      .then(({ body }) => {
+        expect(body.error).toEqual({
+          code: "CONFLICT",
+          msg: "Entry already exists",
+          details: null,
+        });
+      });
+  });
+  it("PATCH:400 should list every invalid field in the error details", () => {
+    return request(app)
+      .patch("/api/v2/articles/1")
+      .set("Authorization", authHeader())
+      .send({ vote: "cat", title: "", colour: "blue" })
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.error).toEqual({
+          code: "BAD_REQUEST",
+          msg: "Invalid vote - must be 1, -1 or 0",
+          details: [
+            {
+              location: "body",
+              field: "vote",
+              msg: "Invalid vote - must be 1, -1 or 0",
+            },
+            {
+              location: "body",
+              field: "title",
+              msg: "Invalid title - must be a non-empty string",
+            },
+            {
+              location: "body",
+              field: "colour",
+              msg: "Unknown field - colour",
+            },
+          ],
+        });
+      });
+  });
+  it("POST:401 should use the error envelope for auth errors", () => {
+    return request(app)
+      .post("/api/v2/articles/1/comments")
+      .send({ body: "hello" })
+      .expect(401)
+      .then(({ body }) => {
+        expect(body.error.code).toBe("UNAUTHORIZED");
+        expect(body.error.msg).toBe("Authentication required");
+      });
+  });
+  it("GET:404 should leave the original error shape on the unversioned routes", () => {
+    return request(app)
+      .get("/api/not-a-route")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body).toEqual({ msg: "Path not found" });
+      });
+  });
+});
+
+describe("GET /api/openapi.json", () => {
+  const routes = listRoutes(apiRouter);
+  const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+  it("GET:200 should serve an OpenAPI 3 document", () => {
+    return request(app)
+      .get("/api/openapi.json")
+      .expect(200)
+      .then(({ body }) => {
+        expect(body.openapi).toMatch(/^3\./);
+        expect(body.info).toHaveProperty("title", expect.any(String));
+        expect(body.servers.map(({ url }) => url)).toEqual(["/api/v2", "/api"]);
+      });
+  });
+  it("GET:200 should have a spec entry for every route registered in app.js", () => {
+    return request(app)
+      .get("/api/openapi.json")
+      .then(({ body }) => {
+        const missing = routes.filter(({ method, path }) => {
+          const operations = body.paths[toOpenApiPath(path)];
+          return !operations || !operations[method];
+        });
+        expect(
+          missing.map(({ method, path }) => endpointKey(method, path))
+        ).toEqual([]);
+      });
+  });
+  it("should validate the request on every resource route", () => {
+    const documentationPaths = ["/", "/openapi.json", "/docs"];
+    const unvalidated = routes.filter(({ path, handlers }) => {
+      return (
+        !documentationPaths.includes(path) &&
+        !handlers.some((handler) => handler.schema)
+      );
+    });
+    expect(
+      unvalidated.map(({ method, path }) => endpointKey(method, path))
+    ).toEqual([]);
+  });
+  it("GET:200 should not document routes that do not exist", () => {
+    const registered = routes.map(({ method, path }) => {
+      return endpointKey(method, path);
+    });
+    const stale = Object.keys(endpoints).filter((key) => {
+      return !registered.includes(key);
+    });
+    expect(stale).toEqual([]);
+  });
+  it("GET:200 should document the same queries that each route accepts", () => {
+    return request(app)
+      .get("/api/openapi.json")
+      .then(({ body }) => {
+        routes.forEach(({ method, path }) => {
+          const { parameters } = body.paths[toOpenApiPath(path)][method];
+          const queries = parameters
+            .filter((parameter) => parameter.in === "query")
+            .map(({ name }) => name);
+          const documented = endpoints[endpointKey(method, path)].queries || [];
+          expect([endpointKey(method, path), ...queries.sort()]).toEqual([
+            endpointKey(method, path),
+            ...[...documented].sort(),
+          ]);
+        });
+      });
+  });
+  it("GET:200 should describe parameters, bodies and auth from the route definitions", () => {
+    return request(app)
+      .get("/api/openapi.json")
+      .then(({ body }) => {
+        const operation = body.paths["/articles/{article_id}"].patch;
+        expect(operation.parameters).toEqual([
+          {
+            name: "article_id",
+            in: "path",
+            required: true,
+            schema: { type: "integer", minimum: 1, maximum: 2147483647 },
+          },
+        ]);
+        const { schema } = operation.requestBody.content["application/json"];
+        expect(schema.additionalProperties).toBe(false);
+        expect(schema.properties.vote).toEqual({
+          type: "integer",
+          enum: [1, -1, 0],
+        });
+        expect(operation.security).toEqual([{ bearerAuth: [] }]);
+        expect(operation.responses).toHaveProperty("201");
+
+        const deleteOperation = body.paths["/articles/{article_id}"].delete;
+        expect(deleteOperation["x-required-role"]).toBe("admin");
+        expect(deleteOperation.responses).toHaveProperty("403");
+      });
+  });
+});
+
+describe("GET /api/docs", () => {
+  it("GET:200 should serve a docs page that loads the OpenAPI document", () => {
+    return request(app)
+      .get("/api/docs")
+      .expect(200)
+      .expect("Content-Type", /html/)
+      .then(({ text }) => {
+        expect(text).toContain('url: "/api/openapi.json"');
+        expect(text).toContain("/api/docs/assets/swagger-ui-bundle.js");
+      });
+  });
+  it("GET:200 should serve the bundled docs assets", () => {
+    return request(app)
+      .get("/api/docs/assets/swagger-ui.css")
+      .expect(200)
+      .expect("Content-Type", /css/);
+  });
+});
+
+describe("405 Method Not Allowed", () => {
+  it("PUT:405 should reject a method the path does not support and list the allowed ones", () => {
+    return request(app)
+      .put("/api/articles/1")
+      .expect(405)
+      .expect("Allow", "GET, HEAD, PATCH, DELETE, OPTIONS")
+      .then(({ body }) => {
+        expect(body.msg).toBe("Method not allowed");
+      });
+  });
+  it("DELETE:405 should list only the methods registered for that path", () => {
+    return request(app)
+      .delete("/api/auth/login")
+      .expect(405)
+      .expect("Allow", "POST, OPTIONS");
+  });
+  it("PUT:405 should use the error envelope on /api/v2", () => {
+    return request(app)
+      .put("/api/v2/topics")
+      .expect(405)
+      .expect("Allow", "GET, HEAD, POST, OPTIONS")
+      .then(({ body }) => {
+        expect(body.error.code).toBe("METHOD_NOT_ALLOWED");
+      });
+  });
+  it("PUT:404 should still return Path not found for unknown paths", () => {
+    return request(app)
+      .put("/api/nonsense")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Path not found");
+      });
+  });
+  it("should give every registered path an Allow header that matches its routes", () => {
+    const paths = [
+      ...new Set(listRoutes(apiRouter).map(({ path }) => path)),
+    ].map((path) => path.replace(/:\w+/g, "1"));
+    return Promise.all(
+      paths.map((path) => request(app).options(`/api${path}`))
+    ).then((responses) => {
+      responses.forEach(({ status, headers }) => {
+        expect(status).toBe(204);
+        expect(headers.allow).toMatch(/OPTIONS$/);
+      });
+    });
+  });
+});
+
+describe("OPTIONS", () => {
+  it("OPTIONS:204 should answer with the allowed methods for the path", () => {
+    return request(app)
+      .options("/api/comments/1")
+      .expect(204)
+      .expect("Allow", "DELETE, PATCH, OPTIONS")
+      .expect("Access-Control-Allow-Methods", "DELETE, PATCH, OPTIONS");
+  });
+  it("OPTIONS:204 should answer CORS preflight requests", () => {
+    return request(app)
+      .options("/api/articles")
+      .set("Origin", "https://example.com")
+      .set("Access-Control-Request-Method", "POST")
+      .expect(204)
+      .expect("Access-Control-Allow-Origin", "*")
+      .expect("Access-Control-Allow-Methods", "GET, HEAD, POST, OPTIONS");
+  });
+  it("OPTIONS:404 should return Path not found for unknown paths", () => {
+    return request(app).options("/api/nonsense").expect(404);
+  });
+});
+
+describe("Conditional requests", () => {
+  describe("GET /api/articles/:article_id", () => {
+    it("GET:200 should send a strong ETag and Last-Modified", () => {
+      return request(app)
+        .get("/api/articles/1")
+        .expect(200)
+        .then(({ headers }) => {
+          expect(headers.etag).toMatch(/^"article-1-\d+\.\d+"$/);
+          expect(new Date(headers["last-modified"]).toString()).not.toBe(
+            "Invalid Date"
+          );
+        });
+    });
+    it("GET:304 should answer a matching If-None-Match with no body", () => {
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          return request(app)
+            .get("/api/articles/1")
+            .set("If-None-Match", headers.etag)
+            .expect(304);
+        })
+        .then(({ text }) => {
+          expect(text).toBe("");
+        });
+    });
+    it("GET:304 should answer If-Modified-Since when nothing has changed", () => {
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          return request(app)
+            .get("/api/articles/1")
+            .set("If-Modified-Since", headers["last-modified"])
+            .expect(304);
+        });
+    });
+    it("GET:200 should change the ETag once the article is voted on", () => {
+      let etag;
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          etag = headers.etag;
+          return request(app)
+            .patch("/api/articles/1")
+            .set("Authorization", authHeader("lurker"))
+            .send({ vote: 1 });
+        })
+        .then(() => {
+          return request(app)
+            .get("/api/articles/1")
+            .set("If-None-Match", etag)
+            .expect(200);
+        })
+        .then(({ body, headers }) => {
+          expect(body.article.votes).toBe(101);
+          expect(headers.etag).not.toBe(etag);
+        });
+    });
+    it("GET:200 should change the ETag when a comment is added", () => {
+      let etag;
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          etag = headers.etag;
+          return request(app)
+            .post("/api/articles/1/comments")
+            .set("Authorization", authHeader("lurker"))
+            .send({ body: "First!" });
+        })
+        .then(() => {
+          return request(app)
+            .get("/api/articles/1")
+            .set("If-None-Match", etag)
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.article.comment_count).toBe(12);
+        });
+    });
+  });
+
+  describe("GET /api/articles", () => {
+    it("GET:304 should answer a matching If-None-Match with no body", () => {
+      return request(app)
+        .get("/api/articles?topic=mitch")
+        .expect(200)
+        .then(({ headers }) => {
+          expect(headers.etag).toMatch(/^"articles-.+"$/);
+          return request(app)
+            .get("/api/articles?topic=mitch")
+            .set("If-None-Match", headers.etag)
+            .expect(304);
+        });
+    });
+    it("GET:200 should use a different ETag for different queries", () => {
+      return Promise.all([
+        request(app).get("/api/articles?topic=mitch"),
+        request(app).get("/api/articles?topic=mitch&sort_by=votes"),
+      ]).then(([first, second]) => {
+        expect(first.headers.etag).not.toBe(second.headers.etag);
+      });
+    });
+    it("GET:200 should change the ETag when a listed article changes", () => {
+      let etag;
+      return request(app)
+        .get("/api/articles")
+        .then(({ headers }) => {
+          etag = headers.etag;
+          return request(app)
+            .delete("/api/articles/2?soft=true")
+            .set("Authorization", authHeader());
+        })
+        .then(() => {
+          return request(app)
+            .get("/api/articles")
+            .set("If-None-Match", etag)
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.total_count).toBe(12);
+        });
+    });
+    it("GET:404 should check the topic and author exist before answering If-None-Match", () => {
+      return Promise.all([
+        request(app)
+          .get("/api/articles?topic=nonsense")
+          .set("If-None-Match", "*")
+          .expect(404),
+        request(app)
+          .get("/api/articles?author=nobody")
+          .set("If-None-Match", "*")
+          .expect(404),
+      ]);
+    });
+  });
+
+  describe("GET /api/articles/:article_id/comments", () => {
+    it("GET:304 should answer a matching If-None-Match with no body", () => {
+      return request(app)
+        .get("/api/articles/1/comments")
+        .expect(200)
+        .then(({ headers }) => {
+          expect(headers.etag).toMatch(/^"comments-.+"$/);
+          return request(app)
+            .get("/api/articles/1/comments")
+            .set("If-None-Match", headers.etag)
+            .expect(304);
+        })
+        .then(({ text }) => {
+          expect(text).toBe("");
+        });
+    });
+    it("GET:200 should use a different ETag for different articles and queries", () => {
+      return Promise.all([
+        request(app).get("/api/articles/1/comments"),
+        request(app).get("/api/articles/1/comments?format=tree"),
+        request(app).get("/api/articles/2/comments"),
+      ]).then((responses) => {
+        const etags = responses.map(({ headers }) => headers.etag);
+        expect(new Set(etags).size).toBe(3);
+      });
+    });
+    it("GET:200 should change the ETag when a comment is voted on", () => {
+      let etag;
+      return request(app)
+        .get("/api/articles/1/comments")
+        .then(({ headers }) => {
+          etag = headers.etag;
+          return request(app)
+            .patch("/api/comments/2")
+            .set("Authorization", authHeader("lurker"))
+            .send({ vote: 1 });
+        })
+        .then(() => {
+          return request(app)
+            .get("/api/articles/1/comments")
+            .set("If-None-Match", etag)
+            .expect(200);
+        })
+        .then(({ headers }) => {
+          expect(headers.etag).not.toBe(etag);
+        });
+    });
+    it("GET:404 should not answer If-None-Match for an article that does not exist", () => {
+      return request(app)
+        .get("/api/articles/9999/comments")
+        .set("If-None-Match", "*")
+        .expect(404);
+    });
+  });
+
+  describe("PATCH with If-Match", () => {
+    it("PATCH:201 should apply the change when If-Match is current and send the new ETag", () => {
+      let etag;
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          etag = headers.etag;
+          return request(app)
+            .patch("/api/articles/1")
+            .set("Authorization", authHeader())
+            .set("If-Match", etag)
+            .send({ title: "A fresh title" })
+            .expect(201);
+        })
+        .then(({ headers }) => {
+          expect(headers.etag).toMatch(/^"article-1-\d+\.\d+"$/);
+          expect(headers.etag).not.toBe(etag);
+          return request(app).get("/api/articles/1");
+        })
+        .then(({ body, headers }) => {
+          expect(body.article.title).toBe("A fresh title");
+        });
+    });
+    it("PATCH:412 should refuse the change when the article has changed since it was fetched", () => {
+      let etag;
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          etag = headers.etag;
+          return request(app)
+            .patch("/api/articles/1")
+            .set("Authorization", authHeader())
+            .send({ title: "Edited elsewhere" });
+        })
+        .then(() => {
+          return request(app)
+            .patch("/api/articles/1")
+            .set("Authorization", authHeader())
+            .set("If-Match", etag)
+            .send({ body: "Overwritten" })
+            .expect(412);
+        })
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Precondition failed - the article has changed since it was fetched"
+          );
+          return request(app).get("/api/articles/1");
+        })
+        .then(({ body }) => {
+          expect(body.article.body).toBe("I find this existence challenging");
+        });
+    });
+    it("PATCH:201 should still apply an edit when the article was only voted on or commented on since it was fetched", () => {
+      let etag;
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          etag = headers.etag;
+          return Promise.all([
+            request(app)
+              .patch("/api/articles/1")
+              .set("Authorization", authHeader("lurker"))
+              .send({ vote: 1 }),
+            request(app)
+              .post("/api/articles/1/comments")
+              .set("Authorization", authHeader("lurker"))
+              .send({ body: "First!" }),
+          ]);
+        })
+        .then(() => {
+          return request(app)
+            .patch("/api/articles/1")
+            .set("Authorization", authHeader())
+            .set("If-Match", etag)
+            .send({ body: "Edited" })
+            .expect(201);
+        })
+        .then(({ body }) => {
+          expect(body.updated_article.body).toBe("Edited");
+          expect(body.updated_article.votes).toBe(101);
+        });
+    });
+    it("PATCH:412 should let only one of two simultaneous edits with the same If-Match through", () => {
+      return request(app)
+        .get("/api/articles/1")
+        .then(({ headers }) => {
+          const edit = (body) => {
+            return request(app)
+              .patch("/api/articles/1")
+              .set("Authorization", authHeader())
+              .set("If-Match", headers.etag)
+              .send({ body });
+          };
+          return Promise.all([edit("First edit"), edit("Second edit")]);
+        })
+        .then((responses) => {
+          const statuses = responses.map(({ status }) => status).sort();
+          expect(statuses).toEqual([201, 412]);
+        });
+    });
+    it("PATCH:412 should check If-Match on comments too", () => {
+      return request(app)
+        .patch("/api/comments/1")
+        .set("Authorization", authHeader("lurker"))
+        .send({ vote: 1 })
+        .then(({ headers }) => {
+          expect(headers.etag).toMatch(/^"comment-1-\d+\.\d+"$/);
+          return request(app)
+            .patch("/api/comments/1")
+            .set("Authorization", authHeader())
+            .set("If-Match", '"comment-1-0.0"')
+            .send({ vote: 1 })
+            .expect(412);
+        })
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Precondition failed - the comment has changed since it was fetched"
+          );
+        });
+    });
+  });
+});
+
+describe("GET /api/feeds", () => {
+  const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+  it("GET:200 should serve the newest articles as RSS", () => {
+    return request(app)
+      .get("/api/feeds/articles.rss")
+      .expect(200)
+      .expect("Content-Type", "application/rss+xml; charset=utf-8")
+      .then(({ text }) => {
+        expect(text).toStartWith('<?xml version="1.0" encoding="UTF-8"?>');
+        expect(text).toContain('<rss version="2.0"');
+        expect(countMatches(text, /<item>/g)).toBe(13);
+        expect(text.indexOf("/api/articles/3</link>")).toBeLessThan(
+          text.indexOf("/api/articles/6</link>")
+        );
+        expect(text).toContain(
+          "<pubDate>Tue, 03 Nov 2020 09:12:00 GMT</pubDate>"
+        );
+        expect(text).toContain("<dc:creator>icellusedkars</dc:creator>");
+        expect(text).toContain(
+          '<enclosure url="https://images.pexels.com/photos/158651/news-newsletter-newspaper-information-158651.jpeg?w=700&amp;h=700" length="0" type="image/jpeg" />'
+        );
+      });
+  });
+  it("GET:200 should serve the newest articles as Atom", () => {
+    return request(app)
+      .get("/api/feeds/articles.atom")
+      .expect(200)
+      .expect("Content-Type", "application/atom+xml; charset=utf-8")
+      .then(({ text }) => {
+        expect(text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+        expect(text).toMatch(
+          /<id>http:\/\/[^<]+\/api\/feeds\/articles\.atom<\/id>/
+        );
+        expect(text).toContain("<updated>2020-11-03T09:12:00.000Z</updated>");
+        expect(countMatches(text, /<entry>/g)).toBe(13);
+        expect(text).toContain(
+          "<published>2020-11-03T09:12:00.000Z</published>"
+        );
+        expect(text).toContain("<author><name>icellusedkars</name></author>");
+        expect(text).toMatch(
+          /<link rel="enclosure" href="https:\/\/images\.pexels\.com\/[^"]+&amp;h=700" type="image\/jpeg" \/>/
+        );
+      });
+  });
+  it("GET:200 should only include as many articles as limit", () => {
+    return request(app)
+      .get("/api/feeds/articles.rss?limit=2")
+      .expect(200)
+      .then(({ text }) => {
+        expect(countMatches(text, /<item>/g)).toBe(2);
+      });
+  });
+  it("GET:200 should escape titles and bodies", () => {
+    return request(app)
+      .post("/api/articles")
+      .set("Authorization", authHeader())
+      .send({
+        title: `Cats & <dogs> "together"`,
+        body: "1 < 2 && it's </description> time",
+        topic: "cats",
+      })
+      .then(() => {
+        return request(app).get("/api/feeds/articles.atom").expect(200);
+      })
+      .then(({ text }) => {
+        expect(text).toContain(
+          '<title type="text">Cats &amp; &lt;dogs&gt; &quot;together&quot;</title>'
+        );
+        expect(text).toContain(
+          "1 &lt; 2 &amp;&amp; it&apos;s &lt;/description&gt; time"
+        );
+      });
+  });
+  it("GET:200 should serve a feed for one topic", () => {
+    return request(app)
+      .get("/api/feeds/topics/cats/articles.rss")
+      .expect(200)
+      .then(({ text }) => {
+        expect(text).toContain("<title>NC News - cats</title>");
+        expect(countMatches(text, /<item>/g)).toBe(1);
+        expect(text).toContain("<category>cats</category>");
+        expect(text).toMatch(
+          /<link>http:\/\/[^<]+\/api\/articles\?topic=cats<\/link>/
+        );
+      });
+  });
+  it("GET:200 should serve a feed for one author", () => {
+    return request(app)
+      .get("/api/v2/feeds/users/butter_bridge/articles.atom")
+      .expect(200)
+      .then(({ text }) => {
+        expect(countMatches(text, /<entry>/g)).toBe(4);
+        expect(countMatches(text, /<name>butter_bridge<\/name>/g)).toBe(4);
+        expect(text).toMatch(/<id>http:\/\/[^<]+\/api\/v2\/articles\/1<\/id>/);
+      });
+  });
+  it("GET:200 should leave soft deleted articles out", () => {
+    return request(app)
+      .delete("/api/articles/5?soft=true")
+      .set("Authorization", authHeader())
+      .then(() => {
+        return request(app).get("/api/feeds/topics/cats/articles.atom");
+      })
+      .then(({ text }) => {
+        expect(countMatches(text, /<entry>/g)).toBe(0);
+      });
+  });
+  it("GET:400 should cap limit as the JSON lists do", () => {
+    return request(app)
+      .get("/api/feeds/articles.rss?limit=1000000")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid limit query");
+      });
+  });
+  it("GET:400 should reject an unknown format", () => {
+    return request(app)
+      .get("/api/feeds/articles.json")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Invalid feed format - use rss or atom");
+      });
+  });
+  it("GET:404 should respond when the topic does not exist", () => {
+    return request(app)
+      .get("/api/feeds/topics/dogs/articles.rss")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Topic not found");
+      });
+  });
+  it("GET:404 should respond when the author does not exist", () => {
+    return request(app)
+      .get("/api/feeds/users/nobody/articles.rss")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Username not found");
+      });
+  });
+});
+
+describe("GET /api/articles/:article_id/events", () => {
+  // Opens a real connection, since supertest waits for the response to end.
+  const openStream = (path, headers = {}) => {
+    return new Promise((resolve, reject) => {
+      const server = app.listen(0, () => {
+        const req = http.get(
+          { port: server.address().port, path, headers },
+          (res) => {
+            const stream = { status: res.statusCode, headers: res.headers };
+            const events = [];
+            let buffer = "";
+            let waiting = null;
+
+            const checkWaiting = () => {
+              if (waiting && events.length >= waiting.count) {
+                clearTimeout(waiting.timer);
+                waiting.resolve(events.slice(0, waiting.count));
+                waiting = null;
+              }
+            };
+
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => {
+              buffer += chunk;
+              const messages = buffer.split("\n\n");
+              buffer = messages.pop();
+              messages.forEach((message) => {
+                const event = {};
+                message.split("\n").forEach((line) => {
+                  const [, field, value] = line.match(/^(\w+): (.*)$/) || [];
+                  if (field) event[field] = value;
+                });
+                if (event.event) {
+                  events.push({ ...event, data: JSON.parse(event.data) });
+                }
+              });
+              checkWaiting();
+            });
+
+            stream.waitFor = (count) => {
+              return new Promise((resolveWait, rejectWait) => {
+                const timer = setTimeout(() => {
+                  rejectWait(new Error(`Expected ${count} events`));
+                }, 2000);
+                waiting = { count, resolve: resolveWait, timer };
+                checkWaiting();
+              });
+            };
+            stream.events = events;
+            stream.close = () => {
+              req.destroy();
+              return new Promise((resolveClose) => server.close(resolveClose));
+            };
+            resolve(stream);
+          }
+        );
+        req.on("error", reject);
+      });
+    });
+  };
+
+  const postComment = (body) => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("lurker"))
+      .send({ body });
+  };
+
+  let stream = null;
+  afterEach(() => {
+    if (!stream) return;
+    const closing = stream.close();
+    stream = null;
+    return closing;
+  });
+
+  it("GET:200 should open an event stream", () => {
+    return openStream("/api/articles/1/events").then((opened) => {
+      stream = opened;
+      expect(stream.status).toBe(200);
+      expect(stream.headers["content-type"]).toBe(
+        "text/event-stream; charset=utf-8"
+      );
+      expect(stream.headers["cache-control"]).toBe("no-cache");
+    });
+  });
+  it("GET:200 should push comment_created when a comment is posted", () => {
+    return openStream("/api/articles/1/events")
+      .then((opened) => {
+        stream = opened;
+        return request(app)
+          .post("/api/articles/1/comments")
+          .set("Authorization", authHeader("lurker"))
+          .send({ body: "Live!" })
+          .expect(201);
+      })
+      .then(() => stream.waitFor(1))
+      .then(([event]) => {
+        expect(event.event).toBe("comment_created");
+        expect(event.id).toMatch(/^\d+$/);
+        expect(event.data.comment).toMatchObject({
+          comment_id: 19,
+          article_id: 1,
+          author: "lurker",
+          body: "Live!",
+          votes: 0,
+        });
+      });
+  });
+  it("GET:200 should push comment_deleted when a comment is deleted", () => {
+    return openStream("/api/articles/1/events")
+      .then((opened) => {
+        stream = opened;
+        return request(app)
+          .delete("/api/comments/2")
+          .set("Authorization", authHeader())
+          .expect(204);
+      })
+      .then(() => stream.waitFor(1))
+      .then(([event]) => {
+        expect(event.event).toBe("comment_deleted");
+        expect(event.data).toEqual({ comment_id: 2, article_id: 1 });
+      });
+  });
+  it("GET:200 should push votes_changed for votes on the article and its comments", () => {
+    return openStream("/api/articles/1/events")
+      .then((opened) => {
+        stream = opened;
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader("lurker"))
+          .send({ vote: 1 })
+          .expect(201);
+      })
+      .then(() => {
+        return request(app)
+          .patch("/api/comments/2")
+          .set("Authorization", authHeader("lurker"))
+          .send({ vote: -1 })
+          .expect(201);
+      })
+      .then(() => stream.waitFor(2))
+      .then(([articleVote, commentVote]) => {
+        expect(articleVote.event).toBe("votes_changed");
+        expect(articleVote.data).toEqual({ article_id: 1, votes: 101 });
+        expect(commentVote.event).toBe("votes_changed");
+        expect(commentVote.data).toEqual({
+          article_id: 1,
+          comment_id: 2,
+          votes: 13,
+        });
+        expect(Number(commentVote.id)).toBeGreaterThan(Number(articleVote.id));
+      });
+  });
+  it("should commit an article's events in event_id order", () => {
+    let client;
+    let vote;
+    return db
+      .connect()
+      .then((connected) => {
+        client = connected;
+        return client.query(`BEGIN;`);
+      })
+      .then(() => {
+        return recordArticleEvent(client, 1, "votes_changed", {
+          article_id: 1,
+          votes: 101,
+        });
+      })
+      .then(() => {
+        vote = request(app)
+          .patch("/api/comments/2")
+          .set("Authorization", authHeader("lurker"))
+          .send({ vote: 1 })
+          .then((response) => response);
+        return new Promise((resolve) => setTimeout(resolve, 200));
+      })
+      .then(() => {
+        return db.query(`SELECT * FROM article_events WHERE article_id = 1;`);
+      })
+      .then(({ rows }) => {
+        expect(rows).toHaveLength(0);
+        return client.query(`COMMIT;`);
+      })
+      .then(() => vote)
+      .then(({ status }) => {
+        expect(status).toBe(201);
+        return db.query(
+          `SELECT event_id, data FROM article_events WHERE article_id = 1 ORDER BY event_id;`
+        );
+      })
+      .then(({ rows }) => {
+        expect(rows.map(({ data }) => data.comment_id)).toEqual([undefined, 2]);
+      })
+      .finally(() => {
+        if (!client) return;
+        return client.query(`ROLLBACK;`).finally(() => client.release());
+      });
+  });
+  it("GET:200 should not push anything for an edit that leaves the votes alone", () => {
+    return openStream("/api/articles/1/events")
+      .then((opened) => {
+        stream = opened;
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader())
+          .send({ title: "New title" })
+          .expect(201);
+      })
+      .then(() => {
+        return request(app)
+          .post("/api/articles/1/comments")
+          .set("Authorization", authHeader("lurker"))
+          .send({ body: "After the edit" });
+      })
+      .then(() => stream.waitFor(1))
+      .then(([event]) => {
+        expect(event.event).toBe("comment_created");
+      });
+  });
+  it("GET:200 should only push events for the requested article", () => {
+    return openStream("/api/articles/1/events")
+      .then((opened) => {
+        stream = opened;
+        return request(app)
+          .post("/api/articles/2/comments")
+          .set("Authorization", authHeader("lurker"))
+          .send({ body: "Elsewhere" });
+      })
+      .then(() => {
+        return request(app)
+          .post("/api/articles/1/comments")
+          .set("Authorization", authHeader("lurker"))
+          .send({ body: "Here" });
+      })
+      .then(() => stream.waitFor(1))
+      .then(([event]) => {
+        expect(event.data.comment.body).toBe("Here");
+      });
+  });
+  it("GET:200 should push events committed by another server process", () => {
+    return openStream("/api/articles/1/events")
+      .then((opened) => {
+        stream = opened;
+        return db.query(
+          `INSERT INTO article_events (article_id, event, data)
+          VALUES (1, 'votes_changed', '{"article_id": 1, "votes": 5}');`
+        );
+      })
+      .then(() => stream.waitFor(1))
+      .then(([event]) => {
+        expect(event.data).toEqual({ article_id: 1, votes: 5 });
+      });
+  });
+  it("GET:200 should resume after the Last-Event-ID sent on reconnecting", () => {
+    let lastEventId;
+    return openStream("/api/articles/1/events")
+      .then((opened) => {
+        stream = opened;
+        return postComment("Seen");
+      })
+      .then(() => stream.waitFor(1))
+      .then(([event]) => {
+        lastEventId = event.id;
+        return stream.close();
+      })
+      .then(() => postComment("Missed"))
+      .then(() => postComment("Also missed"))
+      .then(() => {
+        return openStream("/api/articles/1/events", {
+          "Last-Event-ID": lastEventId,
+        });
+      })
+      .then((opened) => {
+        stream = opened;
+        return stream.waitFor(2);
+      })
+      .then((events) => {
+        const bodies = events.map(({ data }) => data.comment.body);
+        expect(bodies).toEqual(["Missed", "Also missed"]);
+      });
+  });
+  it("GET:200 should not replay earlier events without a Last-Event-ID", () => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .set("Authorization", authHeader("lurker"))
+      .send({ body: "Before" })
+      .then(() => openStream("/api/articles/1/events"))
+      .then((opened) => {
+        stream = opened;
+        return request(app)
+          .post("/api/articles/1/comments")
+          .set("Authorization", authHeader("lurker"))
+          .send({ body: "After" });
+      })
+      .then(() => stream.waitFor(1))
+      .then(([event]) => {
+        expect(event.data.comment.body).toBe("After");
+      });
+  });
+  it("GET:200 should ignore a Last-Event-ID that was never sent and start from now", () => {
+    return postComment("Before")
+      .then(() => {
+        return Promise.all([
+          openStream("/api/articles/1/events", { "Last-Event-ID": "latest" }),
+          openStream("/api/articles/1/events", {
+            "Last-Event-ID": "99999999999999999999",
+          }),
+        ]);
+      })
+      .then((opened) => {
+        stream = {
+          close: () => Promise.all(opened.map((each) => each.close())),
+        };
+        return postComment("After").then(() => {
+          return Promise.all(opened.map((each) => each.waitFor(1)));
+        });
+      })
+      .then((received) => {
+        received.forEach(([event]) => {
+          expect(event.data.comment.body).toBe("After");
+        });
+      });
+  });
+  it("GET:200 should send resync when the events after Last-Event-ID have been pruned", () => {
+    return postComment("Long gone")
+      .then(() => postComment("Still kept"))
+      .then(() => {
+        return db.query(`
+          UPDATE article_events SET created_at = NOW() - INTERVAL '2 days'
+          WHERE event_id = 1;
+          `);
+      })
+      .then(() => pruneArticleEvents())
+      .then((pruned) => {
+        expect(pruned).toBe(1);
+        return openStream("/api/articles/1/events", { "Last-Event-ID": "0" });
+      })
+      .then((opened) => {
+        stream = opened;
+        return stream.waitFor(1);
+      })
+      .then(([event]) => {
+        expect(event).toEqual({
+          id: "2",
+          event: "resync",
+          data: { article_id: 1 },
+        });
+        return postComment("New");
+      })
+      .then(() => stream.waitFor(2))
+      .then(([, event]) => {
+        expect(event.data.comment.body).toBe("New");
+      });
+  });
+  it("GET:200 should still catch up when only events before Last-Event-ID were pruned", () => {
+    return postComment("Seen long ago")
+      .then(() => postComment("Missed"))
+      .then(() => {
+        return db.query(`
+          UPDATE article_events SET created_at = NOW() - INTERVAL '2 days'
+          WHERE event_id = 1;
+          `);
+      })
+      .then(() => pruneArticleEvents())
+      .then(() => {
+        return openStream("/api/articles/1/events", { "Last-Event-ID": "1" });
+      })
+      .then((opened) => {
+        stream = opened;
+        return stream.waitFor(1);
+      })
+      .then(([event]) => {
+        expect(event.event).toBe("comment_created");
+        expect(event.data.comment.body).toBe("Missed");
+      });
+  });
+  it("GET:400 should reject an invalid article_id", () => {
+    return request(app)
+      .get("/api/articles/banana/events")
+      .expect(400)
+      .then(({ body }) => {
+        expect(body.msg).toBe(
+          "Invalid article_id - must be a positive integer"
+        );
+      });
+  });
+  it("GET:404 should respond when the article does not exist", () => {
+    return request(app)
+      .get("/api/articles/999/events")
+      .expect(404)
+      .then(({ body }) => {
+        expect(body.msg).toBe("Article ID not found");
+      });
+  });
+});
+
+describe("Webhooks", () => {
+  // Stands in for a real endpoint: records each request and answers with the
+  // next status in statuses, or 200 once they run out.
+  let receiver = null;
+  const startReceiver = (statuses = []) => {
+    return new Promise((resolve) => {
+      const requests = [];
+      const server = http.createServer((req, res) => {
+        let body = "";
+        req.setEncoding("utf8");
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          requests.push({ headers: req.headers, body });
+          res.writeHead(statuses.shift() || 200);
+          res.end();
+        });
+      });
+      server.listen(0, () => {
+        receiver = {
+          url: `http://localhost:${server.address().port}/hooks`,
+          requests,
+          statuses,
+          close: () => new Promise((done) => server.close(done)),
+        };
+        resolve(receiver);
+      });
+    });
+  };
+
+  // The receiver runs on localhost, which webhooks are normally kept from.
+  beforeEach(() => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = "true";
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+    if (!receiver) return;
+    const closing = receiver.close();
+    receiver = null;
+    return closing;
+  });
+
+  const registerWebhook = (url, events) => {
+    return request(app)
+      .post("/api/webhooks")
+      .set("Authorization", authHeader())
+      .send({ url, events })
+      .expect(201)
+      .then(({ body }) => body.webhook);
+  };
+
+  const postComment = (article_id = 1) => {
+    return request(app)
+      .post(`/api/articles/${article_id}/comments`)
+      .set("Authorization", authHeader("lurker"))
+      .send({ body: "Hooked" })
+      .expect(201);
+  };
+
+  const fetchDeliveryLog = (webhook_id) => {
+    return request(app)
+      .get(`/api/webhooks/${webhook_id}/deliveries`)
+      .set("Authorization", authHeader())
+      .expect(200)
+      .then(({ body }) => body.deliveries);
+  };
+
+  describe("POST /api/webhooks", () => {
+    it("POST:201 should register the webhook and serve its secret", () => {
+      return request(app)
+        .post("/api/webhooks")
+        .set("Authorization", authHeader())
+        .send({
+          url: "https://example.com/hooks",
+          events: ["comment.created", "votes.changed", "comment.created"],
+        })
+        .expect(201)
+        .then(({ body }) => {
+          expect(body.webhook).toMatchObject({
+            webhook_id: 1,
+            url: "https://example.com/hooks",
+            events: ["comment.created", "votes.changed"],
+            created_by: "butter_bridge",
+            created_at: expect.any(String),
+          });
+          expect(body.webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+        });
+    });
+    it("POST:400 should reject a url that is not http or https", () => {
+      return request(app)
+        .post("/api/webhooks")
+        .set("Authorization", authHeader())
+        .send({ url: "ftp://example.com", events: ["comment.created"] })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid url - must be an http or https URL");
+        });
+    });
+    it("POST:400 should reject loopback, link-local and private addresses", () => {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+      const urls = [
+        "http://localhost:9090/hooks",
+        "http://127.0.0.1/hooks",
+        "http://[::1]/hooks",
+        "http://169.254.169.254/latest/meta-data",
+        "http://10.0.0.5/hooks",
+        "http://192.168.1.20/hooks",
+        "http://[::ffff:127.0.0.1]/hooks",
+      ];
+      return Promise.all(
+        urls.map((url) => {
+          return request(app)
+            .post("/api/webhooks")
+            .set("Authorization", authHeader())
+            .send({ url, events: ["comment.created"] })
+            .expect(400)
+            .then(({ body }) => {
+              expect(body.msg).toBe(
+                "Invalid url - webhooks cannot target private or loopback addresses"
+              );
+            });
+        })
+      );
+    });
+    it("POST:400 should reject unknown or missing events", () => {
+      const badEvents = [[], ["comment.edited"], "comment.created"];
+      return Promise.all(
+        badEvents.map((events) => {
+          return request(app)
+            .post("/api/webhooks")
+            .set("Authorization", authHeader())
+            .send({ url: "https://example.com/hooks", events })
+            .expect(400);
+        })
+      ).then((responses) => {
+        responses.forEach(({ body }) => {
+          expect(body.msg).toBe(
+            "Invalid events - must be a non-empty list of article.created, comment.created, comment.deleted, votes.changed"
+          );
+        });
+      });
+    });
+    it("POST:400 should respond when a required field is missing", () => {
+      return request(app)
+        .post("/api/webhooks")
+        .set("Authorization", authHeader())
+        .send({ url: "https://example.com/hooks" })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Missing required fields - webhook could not be added"
+          );
+        });
+    });
+    it("POST:403 should only let admins register webhooks", () => {
+      return request(app)
+        .post("/api/webhooks")
+        .set("Authorization", authHeader("icellusedkars"))
+        .send({ url: "https://example.com/hooks", events: ["votes.changed"] })
+        .expect(403);
+    });
+  });
+
+  describe("GET /api/webhooks", () => {
+    it("GET:200 should serve the registered webhooks without their secrets", () => {
+      return registerWebhook("https://example.com/hooks", ["votes.changed"])
+        .then(() => {
+          return request(app)
+            .get("/api/webhooks")
+            .set("Authorization", authHeader())
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.webhooks).toHaveLength(1);
+          expect(body.webhooks[0]).toEqual({
+            webhook_id: 1,
+            url: "https://example.com/hooks",
+            events: ["votes.changed"],
+            created_by: "butter_bridge",
+            created_at: expect.any(String),
+          });
+        });
+    });
+    it("GET:401 should require a token", () => {
+      return request(app).get("/api/webhooks").expect(401);
+    });
+  });
+
+  describe("DELETE /api/webhooks/:webhook_id", () => {
+    it("DELETE:204 should remove the webhook and stop its deliveries", () => {
+      return registerWebhook("https://example.com/hooks", ["comment.created"])
+        .then(({ webhook_id }) => {
+          return request(app)
+            .delete(`/api/webhooks/${webhook_id}`)
+            .set("Authorization", authHeader())
+            .expect(204);
+        })
+        .then(() => postComment())
+        .then(() => deliverDueWebhooks())
+        .then((sent) => {
+          expect(sent).toBe(0);
+        });
+    });
+    it("DELETE:404 should respond when the webhook does not exist", () => {
+      return request(app)
+        .delete("/api/webhooks/99")
+        .set("Authorization", authHeader())
+        .expect(404)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Webhook not found");
+        });
+    });
+  });
+
+  describe("Deliveries", () => {
+    it("should POST a signed comment.created delivery to the receiver", () => {
+      let webhook;
+      return startReceiver()
+        .then(() => registerWebhook(receiver.url, ["comment.created"]))
+        .then((registered) => {
+          webhook = registered;
+          return postComment();
+        })
+        .then(() => deliverDueWebhooks())
+        .then((sent) => {
+          expect(sent).toBe(1);
+          expect(receiver.requests).toHaveLength(1);
+          const [{ headers, body }] = receiver.requests;
+          expect(headers["content-type"]).toBe("application/json");
+          expect(headers["x-webhook-event"]).toBe("comment.created");
+          expect(headers["x-webhook-delivery"]).toBe("1");
+          expect(headers["x-webhook-signature"]).toBe(
+            `sha256=${signPayload(
+              webhook.secret,
+              headers["x-webhook-timestamp"],
+              body
+            )}`
+          );
+          expect(JSON.parse(body)).toMatchObject({
+            delivery_id: 1,
+            event: "comment.created",
+            data: {
+              comment: { comment_id: 19, article_id: 1, body: "Hooked" },
+            },
+          });
+          return fetchDeliveryLog(webhook.webhook_id);
+        })
+        .then(([delivery]) => {
+          expect(delivery).toMatchObject({
+            delivery_id: 1,
+            event: "comment.created",
+            status: "delivered",
+            attempts: 1,
+            response_status: 200,
+            last_error: null,
+            delivered_at: expect.any(String),
+          });
+        });
+    });
+    it("should only send the events a webhook is registered for", () => {
+      return startReceiver()
+        .then(() => registerWebhook(receiver.url, ["votes.changed"]))
+        .then(() => postComment())
+        .then(() => {
+          return request(app)
+            .patch("/api/comments/1")
+            .set("Authorization", authHeader("lurker"))
+            .send({ vote: 1 });
+        })
+        .then(() => deliverDueWebhooks())
+        .then(() => {
+          expect(receiver.requests).toHaveLength(1);
+          expect(JSON.parse(receiver.requests[0].body)).toMatchObject({
+            event: "votes.changed",
+            data: { article_id: 9, comment_id: 1, votes: 17 },
+          });
+        });
+    });
+    it("should send article.created and comment.deleted", () => {
+      return startReceiver()
+        .then(() => {
+          return registerWebhook(receiver.url, [
+            "article.created",
+            "comment.deleted",
+          ]);
+        })
+        .then(() => {
+          return request(app)
+            .post("/api/articles")
+            .set("Authorization", authHeader())
+            .send({ title: "Hooks", body: "All about hooks", topic: "cats" });
+        })
+        .then(() => {
+          return request(app)
+            .delete("/api/comments/2")
+            .set("Authorization", authHeader());
+        })
+        .then(() => deliverDueWebhooks())
+        .then(() => {
+          const bodies = receiver.requests
+            .map(({ body }) => JSON.parse(body))
+            .sort((a, b) => a.delivery_id - b.delivery_id);
+          expect(bodies[0]).toMatchObject({
+            event: "article.created",
+            data: { article: { article_id: 14, title: "Hooks" } },
+          });
+          expect(bodies[1]).toMatchObject({
+            event: "comment.deleted",
+            data: { comment_id: 2, article_id: 1 },
+          });
+        });
+    });
+    it("should retry a failed delivery with exponential backoff", () => {
+      let webhook;
+      return startReceiver([500, 503])
+        .then(() => registerWebhook(receiver.url, ["comment.created"]))
+        .then((registered) => {
+          webhook = registered;
+          return postComment();
+        })
+        .then(() => deliverDueWebhooks())
+        .then(() => fetchDeliveryLog(webhook.webhook_id))
+        .then(([delivery]) => {
+          expect(delivery).toMatchObject({
+            status: "pending",
+            attempts: 1,
+            response_status: 500,
+            last_error: "Receiver responded with 500",
+          });
+          const delay =
+            new Date(delivery.next_attempt_at) -
+            new Date(delivery.last_attempt_at);
+          expect(delay).toBe(30000);
+          return deliverDueWebhooks();
+        })
+        .then((sent) => {
+          expect(sent).toBe(0);
+          return db.query(
+            `UPDATE webhook_deliveries SET next_attempt_at = NOW();`
+          );
+        })
+        .then(() => deliverDueWebhooks())
+        .then(() => fetchDeliveryLog(webhook.webhook_id))
+        .then(([delivery]) => {
+          expect(delivery).toMatchObject({ attempts: 2, response_status: 503 });
+          const delay =
+            new Date(delivery.next_attempt_at) -
+            new Date(delivery.last_attempt_at);
+          expect(delay).toBe(60000);
+          return db.query(
+            `UPDATE webhook_deliveries SET next_attempt_at = NOW();`
+          );
+        })
+        .then(() => deliverDueWebhooks())
+        .then(() => fetchDeliveryLog(webhook.webhook_id))
+        .then(([delivery]) => {
+          expect(receiver.requests).toHaveLength(3);
+          expect(delivery).toMatchObject({
+            status: "delivered",
+            attempts: 3,
+            response_status: 200,
+            last_error: null,
+          });
+        });
+    });
+    it("should record a receiver that cannot be reached", () => {
+      let webhook;
+      return startReceiver()
+        .then(() => receiver.close())
+        .then(() => registerWebhook(receiver.url, ["comment.created"]))
+        .then((registered) => {
+          webhook = registered;
+          receiver = null;
+          return postComment();
+        })
+        .then(() => deliverDueWebhooks())
+        .then(() => fetchDeliveryLog(webhook.webhook_id))
+        .then(([delivery]) => {
+          expect(delivery.status).toBe("pending");
+          expect(delivery.response_status).toBe(null);
+          expect(delivery.last_error).toEqual(expect.any(String));
+        });
+    });
+    it("should not send to a hostname that resolves to a private address", () => {
+      let webhook;
+      return startReceiver()
+        .then(() => registerWebhook(receiver.url, ["comment.created"]))
+        .then((registered) => {
+          webhook = registered;
+          return postComment();
+        })
+        .then(() => {
+          delete process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+          return deliverDueWebhooks();
+        })
+        .then(() => fetchDeliveryLog(webhook.webhook_id))
+        .then(([delivery]) => {
+          expect(receiver.requests).toHaveLength(0);
+          expect(delivery.status).toBe("pending");
+          expect(delivery.last_error).toMatch(
+            /^Refusing to send to localhost - it resolves to private address/
+          );
+        });
+    });
+    it("should give up once the last attempt fails", () => {
+      let webhook;
+      return startReceiver([500])
+        .then(() => registerWebhook(receiver.url, ["comment.created"]))
+        .then((registered) => {
+          webhook = registered;
+          return postComment();
+        })
+        .then(() => db.query(`UPDATE webhook_deliveries SET attempts = 7;`))
+        .then(() => deliverDueWebhooks())
+        .then(() => fetchDeliveryLog(webhook.webhook_id))
+        .then(([delivery]) => {
+          expect(delivery).toMatchObject({ status: "failed", attempts: 8 });
+          return db.query(
+            `UPDATE webhook_deliveries SET next_attempt_at = NOW();`
+          );
+        })
+        .then(() => deliverDueWebhooks())
+        .then((sent) => {
+          expect(sent).toBe(0);
+        });
+    });
+  });
+
+  describe("GET /api/webhooks/:webhook_id/deliveries", () => {
+    it("GET:200 should filter the log by status and page through it", () => {
+      let webhook;
+      return startReceiver([500])
+        .then(() => registerWebhook(receiver.url, ["comment.created"]))
+        .then((registered) => {
+          webhook = registered;
+          return postComment();
+        })
+        .then(() => deliverDueWebhooks())
+        .then(() => postComment())
+        .then(() => deliverDueWebhooks())
+        .then(() => {
+          return request(app)
+            .get(
+              `/api/webhooks/${webhook.webhook_id}/deliveries?status=delivered`
+            )
+            .set("Authorization", authHeader())
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.total_count).toBe(1);
+          expect(body.deliveries[0].delivery_id).toBe(2);
+          return request(app)
+            .get(`/api/webhooks/${webhook.webhook_id}/deliveries?limit=1&p=2`)
+            .set("Authorization", authHeader())
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.total_count).toBe(2);
+          expect(body.deliveries).toHaveLength(1);
+          expect(body.deliveries[0].delivery_id).toBe(1);
+        });
+    });
+    it("GET:400 should reject an invalid status query", () => {
+      return request(app)
+        .get("/api/webhooks/1/deliveries?status=lost")
+        .set("Authorization", authHeader())
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid status query");
+        });
+    });
+    it("GET:404 should respond when the webhook does not exist", () => {
+      return request(app)
+        .get("/api/webhooks/99/deliveries")
+        .set("Authorization", authHeader())
+        .expect(404)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Webhook not found");
+        });
+    });
+  });
+});
+
+describe("Notifications", () => {
+  const postComment = (username, body, parent_comment_id) => {
+    return request(app)
+      .post("/api/articles/1/comments")
+      .set("Authorization", authHeader(username))
+      .send({ body, parent_comment_id })
+      .expect(201);
+  };
+
+  const fetchInbox = (username, query = "") => {
+    return request(app)
+      .get(`/api/users/${username}/notifications${query}`)
+      .set("Authorization", authHeader(username))
+      .expect(200)
+      .then(({ body }) => body);
+  };
+
+  describe("GET /api/users/:username/notifications", () => {
+    it("GET:200 should tell an article's author about a new comment", () => {
+      return postComment("lurker", "Nice one")
+        .then(() => fetchInbox("butter_bridge"))
+        .then(({ notifications, total_count, unread_count }) => {
+          expect(total_count).toBe(1);
+          expect(unread_count).toBe(1);
+          expect(notifications[0]).toEqual({
+            notification_id: 1,
+            type: "new_comment",
+            actor: "lurker",
+            article_id: 1,
+            article_title: "Living in the shadow of a great man",
+            comment_id: 19,
+            milestone: null,
+            read_at: null,
+            created_at: expect.any(String),
+          });
+        });
+    });
+    it("GET:200 should not tell authors about their own comments", () => {
+      return postComment("butter_bridge", "Talking to myself")
+        .then(() => fetchInbox("butter_bridge"))
+        .then(({ notifications }) => {
+          expect(notifications).toEqual([]);
+        });
+    });
+    it("GET:200 should tell a comment's author about a reply", () => {
+      return postComment("lurker", "I disagree", 3)
+        .then(() => {
+          return Promise.all([
+            fetchInbox("icellusedkars"),
+            fetchInbox("butter_bridge"),
+          ]);
+        })
+        .then(([commentAuthor, articleAuthor]) => {
+          expect(commentAuthor.notifications).toHaveLength(1);
+          expect(commentAuthor.notifications[0]).toMatchObject({
+            type: "reply",
+            actor: "lurker",
+            comment_id: 19,
+          });
+          expect(articleAuthor.notifications).toHaveLength(1);
+          expect(articleAuthor.notifications[0].type).toBe("new_comment");
+        });
+    });
+    it("GET:200 should only send a reply notification to an article author replied to on their own article", () => {
+      return postComment("lurker", "Replying to you", 2)
+        .then(() => fetchInbox("butter_bridge"))
+        .then(({ notifications }) => {
+          expect(notifications).toHaveLength(1);
+          expect(notifications[0].type).toBe("reply");
+        });
+    });
+    it("GET:200 should announce each vote milestone once", () => {
+      const vote = (vote) => {
+        return request(app)
+          .patch("/api/articles/1")
+          .set("Authorization", authHeader("lurker"))
+          .send({ vote });
+      };
+      return db
+        .query(`UPDATE articles SET votes = 9 WHERE article_id = 1;`)
+        .then(() => vote(1))
+        .then(() => vote(0))
+        .then(() => vote(1))
+        .then(() => fetchInbox("butter_bridge"))
+        .then(({ notifications }) => {
+          expect(notifications).toHaveLength(1);
+          expect(notifications[0]).toMatchObject({
+            type: "vote_milestone",
+            actor: null,
+            article_id: 1,
+            comment_id: null,
+            milestone: 10,
+          });
+        });
+    });
+    it("GET:200 should announce vote milestones on comments", () => {
+      return db
+        .query(`UPDATE comments SET votes = 24 WHERE comment_id = 3;`)
+        .then(() => {
+          return request(app)
+            .patch("/api/comments/3")
+            .set("Authorization", authHeader("lurker"))
+            .send({ vote: 1 });
+        })
+        .then(() => fetchInbox("icellusedkars"))
+        .then(({ notifications }) => {
+          expect(notifications[0]).toMatchObject({
+            type: "vote_milestone",
+            article_id: 1,
+            comment_id: 3,
+            milestone: 25,
+          });
+        });
+    });
+    it("GET:200 should serve only unread notifications when unread=true", () => {
+      return postComment("lurker", "First")
+        .then(() => postComment("lurker", "Second"))
+        .then(() => {
+          return request(app)
+            .patch("/api/users/butter_bridge/notifications/1")
+            .set("Authorization", authHeader());
+        })
+        .then(() => fetchInbox("butter_bridge", "?unread=true"))
+        .then(({ notifications, total_count, unread_count }) => {
+          expect(total_count).toBe(1);
+          expect(unread_count).toBe(1);
+          expect(
+            notifications.map(({ notification_id }) => notification_id)
+          ).toEqual([2]);
+          return fetchInbox("butter_bridge");
+        })
+        .then(({ notifications, total_count }) => {
+          expect(total_count).toBe(2);
+          expect(
+            notifications.map(({ notification_id }) => notification_id)
+          ).toEqual([2, 1]);
+        });
+    });
+    it("GET:200 should leave out notifications about soft deleted articles", () => {
+      return postComment("lurker", "Soon hidden")
+        .then(() => {
+          return request(app)
+            .delete("/api/articles/1?soft=true")
+            .set("Authorization", authHeader())
+            .expect(204);
+        })
+        .then(() => fetchInbox("butter_bridge"))
+        .then(({ notifications, total_count, unread_count }) => {
+          expect(notifications).toEqual([]);
+          expect(total_count).toBe(0);
+          expect(unread_count).toBe(0);
+        });
+    });
+    it("GET:400 should reject an invalid unread query", () => {
+      return request(app)
+        .get("/api/users/butter_bridge/notifications?unread=maybe")
+        .set("Authorization", authHeader())
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Invalid unread query");
+        });
+    });
+    it("GET:401 should require a token", () => {
+      return request(app)
+        .get("/api/users/butter_bridge/notifications")
+        .expect(401);
+    });
+    it("GET:403 should not show anyone else's notifications", () => {
+      return request(app)
+        .get("/api/users/butter_bridge/notifications")
+        .set("Authorization", authHeader("lurker"))
+        .expect(403)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Forbidden - you can only see your own notifications"
+          );
+        });
+    });
+  });
+
+  describe("PATCH /api/users/:username/notifications/:notification_id", () => {
+    it("PATCH:200 should mark the notification read and keep the first read_at", () => {
+      let readAt;
+      return postComment("lurker", "Read me")
+        .then(() => {
+          return request(app)
+            .patch("/api/users/butter_bridge/notifications/1")
+            .set("Authorization", authHeader())
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.notification).toMatchObject({
+            notification_id: 1,
+            type: "new_comment",
+            article_title: "Living in the shadow of a great man",
+            read_at: expect.any(String),
+          });
+          readAt = body.notification.read_at;
+          return request(app)
+            .patch("/api/users/butter_bridge/notifications/1")
+            .set("Authorization", authHeader())
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.notification.read_at).toBe(readAt);
+        });
+    });
+    it("PATCH:404 should not mark someone else's notification", () => {
+      return postComment("lurker", "Not yours")
+        .then(() => {
+          return request(app)
+            .patch("/api/users/lurker/notifications/1")
+            .set("Authorization", authHeader("lurker"))
+            .expect(404);
+        })
+        .then(({ body }) => {
+          expect(body.msg).toBe("Notification not found");
+          return fetchInbox("butter_bridge");
+        })
+        .then(({ unread_count }) => {
+          expect(unread_count).toBe(1);
+        });
+    });
+    it("PATCH:404 should not mark a notification about a soft deleted article", () => {
+      return postComment("lurker", "Soon hidden")
+        .then(() => {
+          return request(app)
+            .delete("/api/articles/1?soft=true")
+            .set("Authorization", authHeader())
+            .expect(204);
+        })
+        .then(() => {
+          return request(app)
+            .patch("/api/users/butter_bridge/notifications/1")
+            .set("Authorization", authHeader())
+            .expect(404);
+        })
+        .then(({ body }) => {
+          expect(body.msg).toBe("Notification not found");
+        });
+    });
+    it("PATCH:400 should reject an invalid notification_id", () => {
+      return request(app)
+        .patch("/api/users/butter_bridge/notifications/first")
+        .set("Authorization", authHeader())
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe(
+            "Invalid notification_id - must be a positive integer"
+          );
+        });
+    });
+  });
+
+  describe("PATCH /api/users/:username/notifications", () => {
+    it("PATCH:200 should mark every unread notification read", () => {
+      return postComment("lurker", "One")
+        .then(() => postComment("lurker", "Two"))
+        .then(() => {
+          return request(app)
+            .patch("/api/users/butter_bridge/notifications")
+            .set("Authorization", authHeader())
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.updated_count).toBe(2);
+          return fetchInbox("butter_bridge", "?unread=true");
+        })
+        .then(({ notifications, unread_count }) => {
+          expect(notifications).toEqual([]);
+          expect(unread_count).toBe(0);
+        });
+    });
+    it("PATCH:200 should leave notifications about soft deleted articles alone", () => {
+      return postComment("lurker", "Soon hidden")
+        .then(() => {
+          return request(app)
+            .delete("/api/articles/1?soft=true")
+            .set("Authorization", authHeader())
+            .expect(204);
+        })
+        .then(() => {
+          return request(app)
+            .patch("/api/users/butter_bridge/notifications")
+            .set("Authorization", authHeader())
+            .expect(200);
+        })
+        .then(({ body }) => {
+          expect(body.updated_count).toBe(0);
+          return db.query(
+            `SELECT read_at FROM notifications WHERE notification_id = 1;`
+          );
+        })
+        .then(({ rows }) => {
+          expect(rows[0].read_at).toBeNull();
+        });
+    });
+    it("PATCH:403 should not mark anyone else's notifications", () => {
+      return request(app)
+        .patch("/api/users/butter_bridge/notifications")
+        .set("Authorization", authHeader("lurker"))
+        .expect(403);
+    });
+    it("PATCH:400 should reject unexpected body fields", () => {
+      return request(app)
+        .patch("/api/users/butter_bridge/notifications")
+        .set("Authorization", authHeader())
+        .send({ read: false })
+        .expect(400)
+        .then(({ body }) => {
+          expect(body.msg).toBe("Unknown field - read");
+        });
+    });
+  });
 });
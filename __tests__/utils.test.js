@@ -3,6 +3,15 @@ const {
   createRef,
   formatComments,
 } = require("../db/seeds/utils");
+const {
+  diffWords,
+  formatSnippet,
+  validateUserFields,
+  versionTag,
+  collectionTag,
+  matchesContentVersion,
+  backoffDelay,
+} = require("../models/utils");
 
 describe("convertTimestampToDate", () => {
   test("returns a new object", () => {
@@ -102,3 +111,183 @@ describe("formatComments", () => {
     expect(formattedComments[0].created_at).toEqual(new Date(timestamp));
   });
 });
+
+describe("diffWords", () => {
+  test("returns an empty array when both strings are empty", () => {
+    expect(diffWords("", "")).toEqual([]);
+  });
+  test("returns a single unchanged part when the strings match", () => {
+    expect(diffWords("the cat sat", "the cat sat")).toEqual([
+      { type: "unchanged", value: "the cat sat" },
+    ]);
+  });
+  test("marks words only in the second string as added", () => {
+    expect(diffWords("the cat", "the fat cat")).toEqual([
+      { type: "unchanged", value: "the " },
+      { type: "added", value: "fat " },
+      { type: "unchanged", value: "cat" },
+    ]);
+  });
+  test("marks words only in the first string as removed", () => {
+    expect(diffWords("the fat cat", "the cat")).toEqual([
+      { type: "unchanged", value: "the " },
+      { type: "removed", value: "fat " },
+      { type: "unchanged", value: "cat" },
+    ]);
+  });
+  test("shows a changed word as removed then added", () => {
+    expect(diffWords("the cat sat", "the dog sat")).toEqual([
+      { type: "unchanged", value: "the " },
+      { type: "removed", value: "cat" },
+      { type: "added", value: "dog" },
+      { type: "unchanged", value: " sat" },
+    ]);
+  });
+  test("rebuilds both strings from the parts", () => {
+    const before = "I find this existence challenging";
+    const after = "I find this existence quite challenging, honestly";
+    const diff = diffWords(before, after);
+    const rebuild = (skipType) => {
+      return diff
+        .filter(({ type }) => type !== skipType)
+        .map(({ value }) => value)
+        .join("");
+    };
+    expect(rebuild("added")).toBe(before);
+    expect(rebuild("removed")).toBe(after);
+  });
+  test("diffs a small change to a large body", () => {
+    const words = Array.from({ length: 5000 }, (_, i) => `word${i}`);
+    const before = words.join(" ");
+    const after = [...words.slice(0, 2500), "new", ...words.slice(2500)].join(
+      " "
+    );
+    const diff = diffWords(before, after);
+    expect(diff).toHaveLength(3);
+    expect(diff[1]).toEqual({ type: "added", value: "new " });
+  });
+  test("returns null when the changed parts are too large to diff", () => {
+    const words = (prefix) => {
+      return Array.from({ length: 1000 }, (_, i) => `${prefix}${i}`).join(" ");
+    };
+    expect(diffWords(words("cat"), words("dog"))).toBe(null);
+  });
+});
+
+describe("formatSnippet", () => {
+  test("turns the ts_headline markers into mark tags", () => {
+    expect(formatSnippet("wise \u0002owls\u0003 hoot")).toBe(
+      "wise <mark>owls</mark> hoot"
+    );
+  });
+  test("escapes HTML in the stored text", () => {
+    expect(formatSnippet(`<script>alert("hi")</script> & 'more'`)).toBe(
+      "&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; &amp; &#39;more&#39;"
+    );
+  });
+});
+
+describe("validateUserFields", () => {
+  test("returns null for valid fields", () => {
+    expect(
+      validateUserFields({
+        username: "valid_user_1",
+        avatar_url: "https://example.com/a.png",
+      })
+    ).toBe(null);
+  });
+  test("ignores fields that are not given", () => {
+    expect(validateUserFields({})).toBe(null);
+  });
+  test("rejects usernames with uppercase letters, spaces or bad length", () => {
+    ["Upper", "has space", "ab", "a".repeat(31), 42].forEach((username) => {
+      expect(validateUserFields({ username })).toMatch(/^Invalid username/);
+    });
+  });
+  test("rejects the reserved deleted_user name", () => {
+    expect(validateUserFields({ username: "deleted_user" })).toBe(
+      "Username is reserved"
+    );
+  });
+  test("rejects avatar URLs that are not http or https", () => {
+    ["not a url", "ftp://example.com/a.png", "javascript:alert(1)"].forEach(
+      (avatar_url) => {
+        expect(validateUserFields({ avatar_url })).toMatch(
+          /^Invalid avatar_url/
+        );
+      }
+    );
+  });
+});
+
+describe("versionTag", () => {
+  test("builds a quoted ETag from the target, id and both versions", () => {
+    expect(versionTag("article", 1, 2, 7)).toBe('"article-1-2.7"');
+  });
+});
+
+describe("collectionTag", () => {
+  test("gives the same tag for the same parts", () => {
+    expect(collectionTag("articles", [{ topic: "cats" }, 4])).toBe(
+      collectionTag("articles", [{ topic: "cats" }, 4])
+    );
+  });
+  test("gives a different tag when any part changes", () => {
+    expect(collectionTag("articles", [{ topic: "cats" }, 4])).not.toBe(
+      collectionTag("articles", [{ topic: "cats" }, 5])
+    );
+  });
+  test("returns a quoted tag starting with the name", () => {
+    expect(collectionTag("articles", [])).toMatch(/^"articles-[\w-]+"$/);
+  });
+});
+
+describe("matchesContentVersion", () => {
+  test("matches a tag with the same content version", () => {
+    expect(matchesContentVersion('"article-1-2.7"', "article", 1, 2)).toBe(
+      true
+    );
+  });
+  test("ignores the version after the dot", () => {
+    expect(matchesContentVersion('"article-1-2.3"', "article", 1, 2)).toBe(
+      true
+    );
+  });
+  test("matches any tag in a comma separated list", () => {
+    expect(
+      matchesContentVersion('"article-1-1.1", "article-1-2.5"', "article", 1, 2)
+    ).toBe(true);
+  });
+  test("matches anything for *", () => {
+    expect(matchesContentVersion("*", "article", 1, 2)).toBe(true);
+  });
+  test("does not match an older content version, another row or a weak tag", () => {
+    expect(matchesContentVersion('"article-1-1.7"', "article", 1, 2)).toBe(
+      false
+    );
+    expect(matchesContentVersion('"article-12-2.7"', "article", 1, 2)).toBe(
+      false
+    );
+    expect(matchesContentVersion('"comment-1-2.7"', "article", 1, 2)).toBe(
+      false
+    );
+    expect(matchesContentVersion('W/"article-1-2.7"', "article", 1, 2)).toBe(
+      false
+    );
+  });
+});
+
+describe("backoffDelay", () => {
+  test("starts at the base delay", () => {
+    expect(backoffDelay(1)).toBe(30);
+  });
+  test("doubles with each attempt", () => {
+    expect([2, 3, 4].map((attempt) => backoffDelay(attempt))).toEqual([
+      60, 120, 240,
+    ]);
+  });
+  test("never waits longer than the maximum", () => {
+    expect(backoffDelay(20)).toBe(3600);
+    expect(backoffDelay(3, 10, 25)).toBe(25);
+  });
+});
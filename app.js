@@ -4,6 +4,7 @@ const {
   handle500Errors,
   handleCustomErrors,
   handlePsqlErrors,
+  handlePathNotFound,
 } = require("./controllers/errors.controller.js");
 const {
   getTopics,
@@ -17,39 +18,313 @@ const {
   getUsers,
   getSingleUser,
   patchComment,
+  postArticle,
+  deleteArticle,
+  getSearch,
+  getUserVotes,
+  getArticleRevisions,
+  getCommentRevisions,
+  postTopic,
+  patchTopic,
+  deleteTopic,
+  getTopic,
+  getUserArticles,
+  getUserComments,
+  postUser,
+  patchUser,
+  deleteUser,
 } = require("./controllers/nc_news.controller.js");
+const {
+  postRegister,
+  postLogin,
+  requireAuth,
+  requireRole,
+} = require("./controllers/auth.controller.js");
+const { validateRequest } = require("./controllers/validation.controller.js");
+const {
+  serveOpenApiSpec,
+  getDocs,
+  docsAssets,
+} = require("./controllers/docs.controller.js");
+const { getArticlesFeed } = require("./controllers/feeds.controller.js");
+const { getArticleEvents } = require("./controllers/events.controller.js");
+const {
+  postWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getWebhookDeliveries,
+} = require("./controllers/webhooks.controller.js");
+const {
+  getNotifications,
+  patchNotification,
+  patchNotifications,
+} = require("./controllers/notifications.controller.js");
+const schemas = require("./schemas/request.schemas.js");
+const {
+  handleMethodNotAllowed,
+} = require("./controllers/routes.controller.js");
 
 const app = express();
 
-app.use(cors());
+const apiRouter = express.Router();
+
+// /api/v2 serves every resource in a named envelope and errors as
+// { error: { code, msg, details } }. The unversioned /api routes keep the
+// original shapes until existing clients have moved over.
+const setApiVersion = (version) => {
+  return (req, res, next) => {
+    req.apiVersion = version;
+    next();
+  };
+};
+
+// OPTIONS requests carry on to the router, which answers them with the
+// methods each path really supports.
+app.use(cors({ preflightContinue: true }));
 
 app.use(express.json());
 
-app.get("/api", getEndpoints);
+apiRouter.get("/", getEndpoints);
+
+apiRouter.get("/openapi.json", serveOpenApiSpec(apiRouter));
+
+apiRouter.get("/docs", getDocs);
+
+apiRouter.use("/docs/assets", docsAssets);
+
+apiRouter.get("/topics", validateRequest(schemas.getTopics), getTopics);
+
+apiRouter.post(
+  "/topics",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.postTopic),
+  postTopic
+);
+
+apiRouter.get("/topics/:slug", validateRequest(schemas.getTopic), getTopic);
+
+apiRouter.patch(
+  "/topics/:slug",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.patchTopic),
+  patchTopic
+);
+
+apiRouter.delete(
+  "/topics/:slug",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.deleteTopic),
+  deleteTopic
+);
+
+apiRouter.get("/articles", validateRequest(schemas.getArticles), getArticles);
+
+apiRouter.post(
+  "/articles",
+  requireAuth,
+  validateRequest(schemas.postArticle),
+  postArticle
+);
+
+apiRouter.get(
+  "/articles/:article_id",
+  validateRequest(schemas.getArticleId),
+  getArticleId
+);
+
+apiRouter.get(
+  "/articles/:article_id/comments",
+  validateRequest(schemas.getComments),
+  getComments
+);
+
+apiRouter.post(
+  "/articles/:article_id/comments",
+  requireAuth,
+  validateRequest(schemas.postComment),
+  postComment
+);
+
+apiRouter.patch(
+  "/articles/:article_id",
+  requireAuth,
+  validateRequest(schemas.patchArticle),
+  patchArticle
+);
+
+apiRouter.get(
+  "/articles/:article_id/revisions",
+  validateRequest(schemas.getArticleRevisions),
+  getArticleRevisions
+);
+
+apiRouter.get(
+  "/articles/:article_id/events",
+  validateRequest(schemas.getArticleEvents),
+  getArticleEvents
+);
+
+apiRouter.delete(
+  "/articles/:article_id",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.deleteArticle),
+  deleteArticle
+);
+
+apiRouter.delete(
+  "/comments/:comment_id",
+  requireAuth,
+  validateRequest(schemas.deleteComment),
+  deleteComment
+);
+
+apiRouter.get("/users", validateRequest(schemas.getUsers), getUsers);
+
+apiRouter.post("/users", validateRequest(schemas.postUser), postUser);
+
+apiRouter.get(
+  "/users/:username",
+  validateRequest(schemas.getSingleUser),
+  getSingleUser
+);
+
+apiRouter.patch(
+  "/users/:username",
+  requireAuth,
+  validateRequest(schemas.patchUser),
+  patchUser
+);
+
+apiRouter.delete(
+  "/users/:username",
+  requireAuth,
+  validateRequest(schemas.deleteUser),
+  deleteUser
+);
+
+apiRouter.get(
+  "/users/:username/votes",
+  validateRequest(schemas.getUserVotes),
+  getUserVotes
+);
+
+apiRouter.get(
+  "/users/:username/articles",
+  validateRequest(schemas.getUserArticles),
+  getUserArticles
+);
+
+apiRouter.get(
+  "/users/:username/comments",
+  validateRequest(schemas.getUserComments),
+  getUserComments
+);
+
+apiRouter.get(
+  "/users/:username/notifications",
+  requireAuth,
+  validateRequest(schemas.getNotifications),
+  getNotifications
+);
+
+apiRouter.patch(
+  "/users/:username/notifications",
+  requireAuth,
+  validateRequest(schemas.patchNotifications),
+  patchNotifications
+);
+
+apiRouter.patch(
+  "/users/:username/notifications/:notification_id",
+  requireAuth,
+  validateRequest(schemas.patchNotification),
+  patchNotification
+);
+
+apiRouter.patch(
+  "/comments/:comment_id",
+  requireAuth,
+  validateRequest(schemas.patchComment),
+  patchComment
+);
+
+apiRouter.get(
+  "/comments/:comment_id/revisions",
+  validateRequest(schemas.getCommentRevisions),
+  getCommentRevisions
+);
+
+apiRouter.get("/search", validateRequest(schemas.getSearch), getSearch);
+
+apiRouter.get(
+  "/feeds/articles.:format",
+  validateRequest(schemas.getArticlesFeed),
+  getArticlesFeed
+);
+
+apiRouter.get(
+  "/feeds/topics/:slug/articles.:format",
+  validateRequest(schemas.getArticlesFeed),
+  getArticlesFeed
+);
 
-app.get("/api/topics", getTopics);
+apiRouter.get(
+  "/feeds/users/:username/articles.:format",
+  validateRequest(schemas.getArticlesFeed),
+  getArticlesFeed
+);
 
-app.get("/api/articles", getArticles);
+apiRouter.get(
+  "/webhooks",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.getWebhooks),
+  getWebhooks
+);
 
-app.get("/api/articles/:article_id", getArticleId);
+apiRouter.post(
+  "/webhooks",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.postWebhook),
+  postWebhook
+);
 
-app.get("/api/articles/:article_id/comments", getComments);
+apiRouter.delete(
+  "/webhooks/:webhook_id",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.deleteWebhook),
+  deleteWebhook
+);
 
-app.post("/api/articles/:article_id/comments", postComment);
+apiRouter.get(
+  "/webhooks/:webhook_id/deliveries",
+  requireAuth,
+  requireRole("admin"),
+  validateRequest(schemas.getWebhookDeliveries),
+  getWebhookDeliveries
+);
 
-app.patch("/api/articles/:article_id", patchArticle);
+apiRouter.post(
+  "/auth/register",
+  validateRequest(schemas.postRegister),
+  postRegister
+);
 
-app.delete("/api/comments/:comment_id", deleteComment);
+apiRouter.post("/auth/login", validateRequest(schemas.postLogin), postLogin);
 
-app.get("/api/users", getUsers);
+apiRouter.all("/*", handleMethodNotAllowed(apiRouter), handlePathNotFound);
 
-app.get("/api/users/:username", getSingleUser);
+app.use("/api/v2", setApiVersion(2), apiRouter);
 
-app.patch("/api/comments/:comment_id", patchComment);
+app.use("/api", setApiVersion(1), apiRouter);
 
-app.all("/*", (req, res) => {
-  res.status(404).send({ msg: "Path not found" });
-});
+app.all("/*", handlePathNotFound);
 
 app.use(handleCustomErrors);
 
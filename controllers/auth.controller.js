@@ -0,0 +1,68 @@
+const {
+  createToken,
+  verifyToken,
+  registerUser,
+  loginUser,
+  hasRole,
+} = require("../models/auth.model.js");
+const { fetchSingleUser } = require("../models/nc_news.model.js");
+
+exports.postRegister = (req, res, next) => {
+  registerUser(req.body)
+    .then((user) => {
+      res.status(201).send({ user, token: createToken(user.username) });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.postLogin = (req, res, next) => {
+  loginUser(req.body)
+    .then((user) => {
+      res.status(200).send({ user, token: createToken(user.username) });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return next({ status: 401, msg: "Authentication required" });
+  }
+  verifyToken(token)
+    .then(({ username }) => {
+      // A token outlives a deleted account, so check it still exists.
+      return fetchSingleUser(username).catch((err) => {
+        if (err.status === 404) {
+          err = { status: 401, msg: "Invalid or expired token" };
+        }
+        return Promise.reject(err);
+      });
+    })
+    .then(({ rows }) => {
+      const { username, role } = rows[0];
+      req.user = { username, role };
+      next();
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+// Goes after requireAuth, which loads the caller's role.
+exports.requireRole = (requiredRole) => {
+  const checkRole = (req, res, next) => {
+    if (!hasRole(req.user.role, requiredRole)) {
+      return next({
+        status: 403,
+        msg: `Forbidden - ${requiredRole} role required`,
+      });
+    }
+    next();
+  };
+  checkRole.requiredRole = requiredRole;
+  return checkRole;
+};
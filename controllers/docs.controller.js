@@ -0,0 +1,39 @@
+const express = require("express");
+const { getAbsoluteFSPath } = require("swagger-ui-dist");
+const { buildOpenApiSpec } = require("../docs/openapi.js");
+
+const docsPage = (baseUrl) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>NC News API docs</title>
+    <link rel="stylesheet" href="${baseUrl}/docs/assets/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${baseUrl}/docs/assets/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: "${baseUrl}/openapi.json",
+        dom_id: "#swagger-ui",
+      });
+    </script>
+  </body>
+</html>
+`;
+};
+
+// Built on each request so it always matches the routes registered on the
+// router, whichever order they were added in.
+exports.serveOpenApiSpec = (router) => {
+  return (req, res) => {
+    res.status(200).send(buildOpenApiSpec(router));
+  };
+};
+
+exports.getDocs = (req, res) => {
+  res.status(200).type("html").send(docsPage(req.baseUrl));
+};
+
+exports.docsAssets = express.static(getAbsoluteFSPath(), { index: false });
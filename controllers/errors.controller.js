@@ -1,17 +1,39 @@
+const { STATUS_CODES } = require("http");
+
+// Version 2 errors carry a machine-readable code derived from the status
+// (404 -> "NOT_FOUND") and an optional details value; the original /api routes
+// still get { msg }, plus details when there are any.
+const sendError = (req, res, status, msg, details = null) => {
+    if (req.apiVersion >= 2) {
+        const code = STATUS_CODES[status].toUpperCase().replace(/[^A-Z]+/g, "_");
+        res.status(status).send({ error: { code, msg, details } });
+    } else if (details) {
+        res.status(status).send({ msg, details });
+    } else {
+        res.status(status).send({ msg });
+    }
+};
+
+exports.handlePathNotFound = (req, res, next) => {
+    next({ status: 404, msg: "Path not found" });
+};
 
 exports.handleCustomErrors = (err, req, res, next) => {
 	if (err.status && err.msg) {
-		res.status(err.status).send({ msg: err.msg });
+		sendError(req, res, err.status, err.msg, err.details);
 	} else {
 		next(err);
 	}
 };
 exports.handlePsqlErrors = (err, req, res, next) => {
-    if(err.code === "22P02" || err.code === "23502"){
-        res.status(400).send({ msg: 'Bad request' })
+    if(err.code === "22P02" || err.code === "23502" || err.code === "22003"){
+        sendError(req, res, 400, 'Bad request')
+    }
+    else if(err.code === "23503"){
+        sendError(req, res, 404, "Entry not found")
     }
-    if(err.code === "23503"){
-        res.status(404).send({msg: "Entry not found"})
+    else if(err.code === "23505"){
+        sendError(req, res, 409, "Entry already exists")
     }
     else{
         next(err);
@@ -19,5 +41,5 @@ exports.handlePsqlErrors = (err, req, res, next) => {
 };
 exports.handle500Errors = (err,req,res,next) => {
     console.log(err, "Unhandled error");
-    res.status(500).send({ msg: "Internal server error"})
+    sendError(req, res, 500, "Internal server error")
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { fetchArticleId } = require("../models/nc_news.model.js");
+const {
+  fetchArticleEvents,
+  fetchStartingEventId,
+  subscribeToArticleEvents,
+} = require("../models/events.model.js");
+
+const heartbeatMs = 25000;
+
+// A Server-Sent Events stream of comment_created, comment_deleted and
+// votes_changed for one article, plus resync when the events a reconnecting
+// client missed are no longer kept. Events are sent in event_id order and each
+// carries its event_id as the SSE id, which browsers send back as
+// Last-Event-ID when they reconnect.
+exports.getArticleEvents = (req, res, next) => {
+  const { article_id } = req.params;
+  let lastEventId;
+  let sending = Promise.resolve();
+  let closed = false;
+  let heartbeat;
+  let unsubscribe;
+  let expired = false;
+
+  const sendNewEvents = () => {
+    sending = sending
+      .then(() => fetchArticleEvents(article_id, lastEventId))
+      .then((events) => {
+        events.forEach(({ event_id, event, data }) => {
+          if (closed) return;
+          res.write(
+            `id: ${event_id}\nevent: ${event}\ndata: ${JSON.stringify(
+              data
+            )}\n\n`
+          );
+          lastEventId = event_id;
+        });
+      })
+      .catch(() => {
+        res.end();
+      });
+  };
+
+  const stream = {
+    notify: sendNewEvents,
+    close: () => res.end(),
+  };
+
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  Promise.all([
+    fetchArticleId(article_id),
+    fetchStartingEventId(article_id, req.get("Last-Event-ID")),
+  ])
+    .then(([, starting]) => {
+      lastEventId = starting.event_id;
+      expired = starting.expired;
+      return subscribeToArticleEvents(article_id, stream);
+    })
+    .then((unsubscribeFromArticle) => {
+      unsubscribe = unsubscribeFromArticle;
+      if (closed) return unsubscribe();
+
+      res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+      res.write("retry: 3000\n\n");
+
+      // What the client missed has been pruned, so it is told to refetch the
+      // article and comments, then carries on from the newest event.
+      if (expired) {
+        res.write(
+          `id: ${lastEventId}\nevent: resync\ndata: ${JSON.stringify({
+            article_id: Number(article_id),
+          })}\n\n`
+        );
+      }
+
+      heartbeat = setInterval(() => {
+        res.write(": keep-alive\n\n");
+      }, heartbeatMs);
+
+      // Catches up on anything after Last-Event-ID, and on anything committed
+      // between reading the starting id and the listener being ready.
+      sendNewEvents();
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
@@ -0,0 +1,68 @@
+const {
+  fetchArticles,
+  fetchTopics,
+  fetchSingleUser,
+} = require("../models/nc_news.model.js");
+const {
+  buildRssFeed,
+  buildAtomFeed,
+  contentTypes,
+} = require("../feeds/articles.feed.js");
+
+const builders = { rss: buildRssFeed, atom: buildAtomFeed };
+
+const describeFeed = ({ slug, username }) => {
+  if (slug) {
+    return {
+      title: `NC News - ${slug}`,
+      description: `The latest articles about ${slug}`,
+      query: `?topic=${encodeURIComponent(slug)}`,
+      check: fetchTopics(slug),
+    };
+  }
+  if (username) {
+    return {
+      title: `NC News - ${username}`,
+      description: `The latest articles by ${username}`,
+      query: `?author=${encodeURIComponent(username)}`,
+      check: fetchSingleUser(username),
+    };
+  }
+  return {
+    title: "NC News",
+    description: "The latest articles",
+    query: "",
+    check: Promise.resolve(),
+  };
+};
+
+// Serves the newest articles, optionally for one topic or author, using the
+// same query as GET /api/articles.
+exports.getArticlesFeed = (req, res, next) => {
+  const { slug, username, format } = req.params;
+  const { limit } = req.query;
+  const { title, description, query, check } = describeFeed(req.params);
+  const apiUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+
+  Promise.all([
+    fetchArticles(slug, username, "created_at", "desc", limit || 20, 1),
+    check,
+  ])
+    .then(([{ articles }]) => {
+      const feed = {
+        id: `${apiUrl}${req.path}`,
+        title,
+        description,
+        link: `${apiUrl}/articles${query}`,
+        selfLink: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+      };
+      const link = ({ article_id }) => `${apiUrl}/articles/${article_id}`;
+      res
+        .status(200)
+        .type(contentTypes[format])
+        .send(builders[format](feed, articles, link));
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
@@ -9,12 +9,40 @@ const {
   removeComment,
   fetchSingleUser,
   editComment,
+  insertArticle,
+  removeArticle,
+  fetchSearchResults,
+  fetchUserVotes,
+  fetchCommentTree,
+  fetchArticleRevisions,
+  fetchCommentRevisions,
+  insertTopic,
+  editTopic,
+  removeTopic,
+  fetchTopicStats,
+  fetchTopicDetail,
+  fetchUserProfile,
+  fetchUserComments,
+  editUser,
+  removeUser,
+  fetchArticleVersion,
+  fetchArticlesVersion,
+  fetchCommentsVersion,
 } = require("../models/nc_news.model.js");
+const { versionTag, collectionTag } = require("../models/utils.js");
+const { registerUser, createToken } = require("../models/auth.model.js");
 const endpoints = require("../endpoints.json");
 const { error } = require("console");
 
+// A few of the original /api routes predate the { resource } envelopes, so
+// they are given their old body unless the request came in through /api/v2.
+const sendVersioned = (req, res, status, body, legacyBody) => {
+  res.status(status).send(req.apiVersion >= 2 ? body : legacyBody);
+};
+
 exports.getTopics = (req, res, next) => {
-  fetchTopics()
+  const { sort_by, order } = req.query;
+  fetchTopicStats(sort_by, order)
     .then((result) => {
       res.status(200).send({ topics: result.rows });
     })
@@ -22,11 +50,69 @@ exports.getTopics = (req, res, next) => {
       next(err);
     });
 };
+exports.getTopic = (req, res, next) => {
+  const { slug } = req.params;
+  fetchTopicDetail(slug)
+    .then((topic) => {
+      res.status(200).send({ topic });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.postTopic = (req, res, next) => {
+  insertTopic(req.body)
+    .then((topic) => {
+      res.status(201).send({ topic });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.patchTopic = (req, res, next) => {
+  const { slug } = req.params;
+  editTopic(req.body, slug)
+    .then((topic) => {
+      res.status(200).send({ topic });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.deleteTopic = (req, res, next) => {
+  const { slug } = req.params;
+  const { reassign_to } = req.query;
+  removeTopic(slug, reassign_to)
+    .then(() => {
+      res.status(204).send();
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
 exports.getArticleId = (req, res, next) => {
   const articleId = req.params.article_id;
-  fetchArticleId(articleId)
-    .then((response) => {
-      res.status(200).send({ article: response.rows[0] });
+  fetchArticleVersion(articleId)
+    .then((current) => {
+      if (current) {
+        res.set({
+          ETag: versionTag(
+            "article",
+            current.article_id,
+            current.content_version,
+            current.version
+          ),
+          "Last-Modified": current.modified_at.toUTCString(),
+        });
+        if (req.fresh) return res.status(304).end();
+      }
+      return fetchArticleId(articleId).then((response) => {
+        res.status(200).send({ article: response.rows[0] });
+      });
     })
     .catch((err) => {
       next(err);
@@ -36,13 +122,24 @@ exports.getEndpoints = (req, res, next) => {
   res.status(200).send({ endpoints });
 };
 exports.getArticles = (req, res, next) => {
-  const { topic, sort_by, order } = req.query;
-  const promises = [fetchArticles(topic, sort_by, order), fetchTopics(topic)];
+  const { topic, author, sort_by, order, limit, p } = req.query;
+
+  // An unknown topic or author is a 404 even for a matching If-None-Match.
+  const promises = [fetchArticlesVersion(topic, author), fetchTopics(topic)];
+  if (author) {
+    promises.push(fetchSingleUser(author));
+  }
 
   Promise.all(promises)
-    .then((response) => {
-      console.log(response);
-      res.status(200).send(response[0].rows);
+    .then(([current]) => {
+      res.set("ETag", collectionTag("articles", [req.query, current]));
+      if (req.fresh) return res.status(304).end();
+
+      return fetchArticles(topic, author, sort_by, order, limit, p).then(
+        ({ articles, total_count }) => {
+          res.status(200).send({ articles, total_count });
+        }
+      );
     })
     .catch((err) => {
       next(err);
@@ -51,11 +148,23 @@ exports.getArticles = (req, res, next) => {
 
 exports.getComments = (req, res, next) => {
   const article_id = req.params.article_id;
-  const promises = [fetchComments(article_id), fetchArticleId(article_id)];
+  const { sort_by, order, limit, p, format, depth } = req.query;
 
-  Promise.all(promises)
-    .then((response) => {
-      res.status(200).send(response[0].rows);
+  Promise.all([fetchCommentsVersion(article_id), fetchArticleId(article_id)])
+    .then(([current]) => {
+      res.set(
+        "ETag",
+        collectionTag("comments", [article_id, req.query, current])
+      );
+      if (req.fresh) return res.status(304).end();
+
+      const commentsPromise =
+        format === "tree"
+          ? fetchCommentTree(article_id, sort_by, order, limit, p, depth)
+          : fetchComments(article_id, sort_by, order, limit, p);
+      return commentsPromise.then(({ comments, total_count }) => {
+        res.status(200).send({ comments, total_count });
+      });
     })
     .catch((err) => {
       next(err);
@@ -64,7 +173,8 @@ exports.getComments = (req, res, next) => {
 
 exports.postComment = (req, res, next) => {
   const article_id = req.params.article_id;
-  insertComment(req.body, article_id)
+  const { username } = req.user;
+  insertComment({ ...req.body, username }, article_id)
     .then((comment) => {
       res.status(201).send({ comment });
     })
@@ -73,11 +183,41 @@ exports.postComment = (req, res, next) => {
     });
 };
 
+exports.postArticle = (req, res, next) => {
+  const { username } = req.user;
+  insertArticle({ ...req.body, author: username })
+    .then((article) => {
+      res.status(201).send({ article });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
 exports.patchArticle = (req, res, next) => {
   const article_id = req.params.article_id;
-  editArticle(req.body, article_id)
-    .then((response) => {
-      res.status(201).send({ updated_article: response.rows[0] });
+  editArticle(req.body, article_id, req.user.username, req.get("If-Match"))
+    .then(({ article, user_vote, etag }) => {
+      res.set("ETag", etag);
+      sendVersioned(
+        req,
+        res,
+        201,
+        { article, user_vote },
+        { updated_article: article, user_vote }
+      );
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.deleteArticle = (req, res, next) => {
+  const { article_id } = req.params;
+  const { soft } = req.query;
+  removeArticle(article_id, soft)
+    .then(() => {
+      res.status(204).send();
     })
     .catch((err) => {
       next(err);
@@ -86,7 +226,7 @@ exports.patchArticle = (req, res, next) => {
 
 exports.deleteComment = (req, res, next) => {
   const { comment_id } = req.params;
-  removeComment(comment_id)
+  removeComment(comment_id, req.user)
     .then(() => {
       res.status(204).send();
     })
@@ -96,16 +236,20 @@ exports.deleteComment = (req, res, next) => {
 };
 
 exports.getUsers = (req, res, next) => {
-  fetchUsers().then(({ rows }) => {
-    res.status(200).send(rows);
-  });
+  fetchUsers()
+    .then(({ rows }) => {
+      sendVersioned(req, res, 200, { users: rows }, rows);
+    })
+    .catch((err) => {
+      next(err);
+    });
 };
 
 exports.getSingleUser = (req, res, next) => {
   const { username } = req.params;
-  fetchSingleUser(username)
+  fetchUserProfile(username)
     .then(({ rows }) => {
-      res.status(200).send(rows[0]);
+      sendVersioned(req, res, 200, { user: rows[0] }, rows[0]);
     })
     .catch((err) => {
       next(err);
@@ -114,9 +258,137 @@ exports.getSingleUser = (req, res, next) => {
 
 exports.patchComment = (req, res, next) => {
   const { comment_id } = req.params;
-  editComment(req.body, comment_id)
-    .then((response) => {
-      res.status(201).send({ updated_comment: response.rows[0] });
+  editComment(req.body, comment_id, req.user.username, req.get("If-Match"))
+    .then(({ comment, user_vote, etag }) => {
+      res.set("ETag", etag);
+      sendVersioned(
+        req,
+        res,
+        201,
+        { comment, user_vote },
+        { updated_comment: comment, user_vote }
+      );
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getSearch = (req, res, next) => {
+  const { q, limit, p } = req.query;
+
+  fetchSearchResults(q, limit, p)
+    .then(({ results, total_count }) => {
+      res.status(200).send({ results, total_count });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getUserVotes = (req, res, next) => {
+  const { username } = req.params;
+  const promises = [fetchUserVotes(username), fetchSingleUser(username)];
+
+  Promise.all(promises)
+    .then(([{ rows }]) => {
+      res.status(200).send({ votes: rows });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getArticleRevisions = (req, res, next) => {
+  const { article_id } = req.params;
+  const { from, to } = req.query;
+
+  fetchArticleRevisions(article_id, from && Number(from), to && Number(to))
+    .then((revisions) => {
+      res.status(200).send(revisions);
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getCommentRevisions = (req, res, next) => {
+  const { comment_id } = req.params;
+  const { from, to } = req.query;
+
+  fetchCommentRevisions(comment_id, from && Number(from), to && Number(to))
+    .then((revisions) => {
+      res.status(200).send(revisions);
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getUserArticles = (req, res, next) => {
+  const { username } = req.params;
+  const { sort_by, order, limit, p } = req.query;
+
+  const promises = [
+    fetchArticles(undefined, username, sort_by, order, limit, p),
+    fetchSingleUser(username),
+  ];
+
+  Promise.all(promises)
+    .then(([{ articles, total_count }]) => {
+      res.status(200).send({ articles, total_count });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getUserComments = (req, res, next) => {
+  const { username } = req.params;
+  const { sort_by, order, limit, p } = req.query;
+
+  const promises = [
+    fetchUserComments(username, sort_by, order, limit, p),
+    fetchSingleUser(username),
+  ];
+
+  Promise.all(promises)
+    .then(([{ comments, total_count }]) => {
+      res.status(200).send({ comments, total_count });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+// Creates the account the same way as POST /api/auth/register, so it can be
+// logged into.
+exports.postUser = (req, res, next) => {
+  registerUser(req.body)
+    .then((user) => {
+      res.status(201).send({ user, token: createToken(user.username) });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.patchUser = (req, res, next) => {
+  const { username } = req.params;
+  editUser(req.body, username, req.user)
+    .then((user) => {
+      res.status(200).send({ user });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.deleteUser = (req, res, next) => {
+  const { username } = req.params;
+  removeUser(username, req.user)
+    .then(() => {
+      res.status(204).send();
     })
     .catch((err) => {
       next(err);
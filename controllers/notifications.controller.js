@@ -0,0 +1,39 @@
+const {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../models/notifications.model.js");
+
+exports.getNotifications = (req, res, next) => {
+  const { username } = req.params;
+  const { unread, limit, p } = req.query;
+  fetchNotifications(username, req.user, unread, limit, p)
+    .then(({ notifications, total_count, unread_count }) => {
+      res.status(200).send({ notifications, total_count, unread_count });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.patchNotification = (req, res, next) => {
+  const { username, notification_id } = req.params;
+  markNotificationRead(username, req.user, notification_id)
+    .then((notification) => {
+      res.status(200).send({ notification });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.patchNotifications = (req, res, next) => {
+  const { username } = req.params;
+  markAllNotificationsRead(username, req.user)
+    .then((updated_count) => {
+      res.status(200).send({ updated_count });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
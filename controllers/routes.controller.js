@@ -0,0 +1,44 @@
+// Every method/path pair registered on the router, with the middleware that
+// runs for it. The catch-all 404 route is left out.
+exports.listRoutes = (router) => {
+  return router.stack
+    .filter((layer) => layer.route && !layer.route.methods._all)
+    .flatMap(({ route, regexp }) => {
+      return Object.keys(route.methods).map((method) => {
+        return {
+          method,
+          path: route.path,
+          regexp,
+          handlers: route.stack.map((layer) => layer.handle),
+        };
+      });
+    });
+};
+
+const allowedMethods = (router, path) => {
+  const methods = exports
+    .listRoutes(router)
+    .filter((route) => route.regexp.test(path))
+    .flatMap(({ method }) => {
+      return method === "get" ? ["GET", "HEAD"] : [method.toUpperCase()];
+    });
+  return methods.length === 0 ? [] : [...new Set(methods), "OPTIONS"];
+};
+
+// Runs after every route on the router has had its chance, so a path that
+// matches here was requested with a method it does not support. OPTIONS is
+// answered from the same table.
+exports.handleMethodNotAllowed = (router) => {
+  return (req, res, next) => {
+    const methods = allowedMethods(router, req.path);
+    if (methods.length === 0) return next();
+
+    const allow = methods.join(", ");
+    res.set("Allow", allow);
+    if (req.method === "OPTIONS") {
+      res.set("Access-Control-Allow-Methods", allow);
+      return res.status(204).send();
+    }
+    next({ status: 405, msg: "Method not allowed" });
+  };
+};
@@ -0,0 +1,133 @@
+// Checks req.params, req.query and req.body against a schema before the
+// controller runs. A schema maps each location to { field: rule }, where a
+// rule can use:
+//   required  - the field must be present (not undefined or null)
+//   type      - "string", "integer" or "array" (params and queries arrive as
+//               strings, so "integer" there means a string of digits)
+//   items     - rule every element of an array must pass
+//   min       - smallest allowed integer
+//   max       - largest allowed integer
+//   nonEmpty  - strings must contain something other than whitespace, and
+//               arrays must have at least one element
+//   minLength - shortest allowed string
+//   oneOf     - list of allowed values
+//   pattern   - regex a string must match
+//   check     - function returning an error message, or null if valid
+//   msg       - message to use instead of the generated one
+// Body fields not in the schema are rejected. schema.missingMsg replaces the
+// generated message for missing fields, and schema.requireOneOf lists body
+// fields of which at least one must be sent.
+
+const describeRule = (rule) => {
+  if (rule.oneOf) return `must be one of ${rule.oneOf.join(", ")}`;
+  if (rule.type === "integer") {
+    return rule.min === 1 ? "must be a positive integer" : "must be an integer";
+  }
+  if (rule.type === "array") {
+    return rule.nonEmpty ? "must be a non-empty array" : "must be an array";
+  }
+  if (rule.minLength) return `must be at least ${rule.minLength} characters`;
+  if (rule.nonEmpty) return "must be a non-empty string";
+  return `must be a ${rule.type || "string"}`;
+};
+
+const isValidInteger = (value, location, min, max) => {
+  const isInteger =
+    location === "body"
+      ? Number.isInteger(value)
+      : typeof value === "string" && /^-?\d+$/.test(value);
+  return (
+    isInteger &&
+    (min === undefined || Number(value) >= min) &&
+    (max === undefined || Number(value) <= max)
+  );
+};
+
+const checkValue = (value, rule, location) => {
+  if (rule.type === "array") {
+    if (!Array.isArray(value)) return false;
+    if (rule.nonEmpty && value.length === 0) return false;
+    return (
+      !rule.items ||
+      value.every((item) => checkValue(item, rule.items, location))
+    );
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) return false;
+  if (
+    rule.type === "integer" &&
+    !isValidInteger(value, location, rule.min, rule.max)
+  ) {
+    return false;
+  }
+  if (rule.type === "string" || rule.nonEmpty || rule.minLength) {
+    if (typeof value !== "string") return false;
+    if (rule.nonEmpty && value.trim().length === 0) return false;
+    if (rule.minLength && value.length < rule.minLength) return false;
+    if (rule.pattern && !rule.pattern.test(value)) return false;
+  }
+  return true;
+};
+
+const validateField = (field, value, rule, location, schema) => {
+  if (value === undefined || value === null) {
+    if (!rule.required) return null;
+    return rule.missingMsg || schema.missingMsg || `Missing ${field}`;
+  }
+  if (!checkValue(value, rule, location)) {
+    return rule.msg || `Invalid ${field} - ${describeRule(rule)}`;
+  }
+  return rule.check ? rule.check(value) : null;
+};
+
+const isPlainObject = (value) => {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+};
+
+const validateLocation = (location, values, schema) => {
+  const rules = schema[location];
+  const details = [];
+
+  if (location === "body" && !isPlainObject(values)) {
+    return [{ location, field: null, msg: "Request body must be an object" }];
+  }
+
+  Object.entries(rules).forEach(([field, rule]) => {
+    const msg = validateField(field, values[field], rule, location, schema);
+    if (msg) details.push({ location, field, msg });
+  });
+
+  if (location === "body") {
+    if (
+      schema.requireOneOf &&
+      schema.requireOneOf.every((field) => values[field] === undefined)
+    ) {
+      details.push({
+        location,
+        field: schema.requireOneOf.join(", "),
+        msg: `Nothing to update - send ${schema.requireOneOf.join(" or ")}`,
+      });
+    }
+    Object.keys(values)
+      .filter((field) => !Object.prototype.hasOwnProperty.call(rules, field))
+      .forEach((field) => {
+        details.push({ location, field, msg: `Unknown field - ${field}` });
+      });
+  }
+  return details;
+};
+
+exports.validateRequest = (schema) => {
+  const validate = (req, res, next) => {
+    const details = ["params", "query", "body"]
+      .filter((location) => schema[location])
+      .flatMap((location) => validateLocation(location, req[location], schema));
+
+    if (details.length > 0) {
+      return next({ status: 400, msg: details[0].msg, details });
+    }
+    next();
+  };
+  // Kept on the middleware so the OpenAPI spec can describe the same rules.
+  validate.schema = schema;
+  return validate;
+};
@@ -0,0 +1,53 @@
+const {
+  insertWebhook,
+  fetchWebhooks,
+  fetchWebhook,
+  removeWebhook,
+  fetchDeliveries,
+} = require("../models/webhooks.model.js");
+
+exports.postWebhook = (req, res, next) => {
+  insertWebhook(req.body, req.user.username)
+    .then((webhook) => {
+      res.status(201).send({ webhook });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getWebhooks = (req, res, next) => {
+  fetchWebhooks()
+    .then((webhooks) => {
+      res.status(200).send({ webhooks });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.deleteWebhook = (req, res, next) => {
+  removeWebhook(req.params.webhook_id)
+    .then(() => {
+      res.status(204).send();
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
+
+exports.getWebhookDeliveries = (req, res, next) => {
+  const { webhook_id } = req.params;
+  const { status, limit, p } = req.query;
+
+  Promise.all([
+    fetchDeliveries(webhook_id, status, limit, p),
+    fetchWebhook(webhook_id),
+  ])
+    .then(([{ deliveries, total_count }]) => {
+      res.status(200).send({ deliveries, total_count });
+    })
+    .catch((err) => {
+      next(err);
+    });
+};
@@ -0,0 +1,8 @@
+const db = require('./connection');
+const { migrateUp } = require('./migrate');
+
+// Brings the test database up to the latest schema once before any test file
+// runs; the seed in each test file only resets the data.
+module.exports = () => {
+  return migrateUp().then(() => db.end());
+};
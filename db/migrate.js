@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const format = require('pg-format');
+const db = require('./connection');
+
+const defaultDir = path.join(__dirname, 'migrations');
+const defaultTable = 'schema_migrations';
+
+const loadMigrations = (dir) => {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => {
+      return {
+        name: path.basename(file, '.js'),
+        ...require(path.join(dir, file)),
+      };
+    });
+};
+
+const fetchApplied = (table) => {
+  return db
+    .query(
+      format(
+        `CREATE TABLE IF NOT EXISTS %I (
+          name VARCHAR PRIMARY KEY,
+          applied_at TIMESTAMP DEFAULT NOW() NOT NULL
+        );`,
+        table
+      )
+    )
+    .then(() => {
+      return db.query(
+        format('SELECT name, applied_at FROM %I ORDER BY name;', table)
+      );
+    })
+    .then(({ rows }) => {
+      return rows;
+    });
+};
+
+// Each migration runs in its own transaction together with the change to the
+// migrations table, so a failed migration leaves nothing half-applied.
+const runMigration = (migration, direction, table) => {
+  const recordQuery =
+    direction === 'up'
+      ? format('INSERT INTO %I (name) VALUES ($1);', table)
+      : format('DELETE FROM %I WHERE name = $1;', table);
+
+  return db.connect().then((client) => {
+    return client
+      .query('BEGIN;')
+      .then(() => {
+        return migration[direction](client);
+      })
+      .then(() => {
+        return client.query(recordQuery, [migration.name]);
+      })
+      .then(() => {
+        return client.query('COMMIT;');
+      })
+      .catch((err) => {
+        return client.query('ROLLBACK;').then(() => {
+          err.message = `Migration ${migration.name} failed (${direction}): ${err.message}`;
+          return Promise.reject(err);
+        });
+      })
+      .finally(() => {
+        client.release();
+      });
+  });
+};
+
+const runInOrder = (migrations, direction, table) => {
+  return migrations
+    .reduce((previous, migration) => {
+      return previous.then(() => {
+        return runMigration(migration, direction, table);
+      });
+    }, Promise.resolve())
+    .then(() => {
+      return migrations.map(({ name }) => name);
+    });
+};
+
+exports.migrateUp = ({ dir = defaultDir, table = defaultTable } = {}) => {
+  const migrations = loadMigrations(dir);
+  return fetchApplied(table).then((applied) => {
+    const appliedNames = applied.map(({ name }) => name);
+    const pending = migrations.filter(
+      ({ name }) => !appliedNames.includes(name)
+    );
+    return runInOrder(pending, 'up', table);
+  });
+};
+
+exports.migrateDown = ({
+  dir = defaultDir,
+  table = defaultTable,
+  steps = 1,
+} = {}) => {
+  if (!Number.isInteger(steps) || steps < 1) {
+    return Promise.reject(new Error('Steps must be a positive whole number'));
+  }
+  const migrations = loadMigrations(dir);
+  return fetchApplied(table).then((applied) => {
+    const toRevert = applied
+      .slice(-steps)
+      .reverse()
+      .map(({ name }) => {
+        return (
+          migrations.find((migration) => migration.name === name) || { name }
+        );
+      });
+    const missing = toRevert.find((migration) => !migration.down);
+    if (missing) {
+      return Promise.reject(
+        new Error(`Migration file for ${missing.name} not found`)
+      );
+    }
+    return runInOrder(toRevert, 'down', table);
+  });
+};
+
+exports.migrationStatus = ({ dir = defaultDir, table = defaultTable } = {}) => {
+  const migrations = loadMigrations(dir);
+  return fetchApplied(table).then((applied) => {
+    return migrations.map(({ name }) => {
+      const record = applied.find((row) => row.name === name);
+      return { name, applied_at: record ? record.applied_at : null };
+    });
+  });
+};
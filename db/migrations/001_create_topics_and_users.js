@@ -0,0 +1,26 @@
+// 001-004 describe the schema the seed used to create itself, so they use IF
+// NOT EXISTS and can run against a database set up before migrations without
+// touching its data.
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS topics (
+      slug VARCHAR PRIMARY KEY,
+      description VARCHAR
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+      username VARCHAR PRIMARY KEY,
+      name VARCHAR NOT NULL,
+      avatar_url VARCHAR,
+      password_hash VARCHAR,
+      role VARCHAR DEFAULT 'reader' NOT NULL CHECK (role IN ('reader', 'author', 'moderator', 'admin'))
+    );
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE users;
+    DROP TABLE topics;
+  `);
+};
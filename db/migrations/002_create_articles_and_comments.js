@@ -0,0 +1,34 @@
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS articles (
+      article_id SERIAL PRIMARY KEY,
+      title VARCHAR NOT NULL,
+      topic VARCHAR NOT NULL REFERENCES topics(slug),
+      author VARCHAR NOT NULL REFERENCES users(username),
+      body VARCHAR NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      votes INT DEFAULT 0 NOT NULL,
+      article_img_url VARCHAR DEFAULT 'https://images.pexels.com/photos/97050/pexels-photo-97050.jpeg?w=700&h=700',
+      edited_at TIMESTAMP,
+      deleted_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS comments (
+      comment_id SERIAL PRIMARY KEY,
+      body VARCHAR NOT NULL,
+      article_id INT REFERENCES articles(article_id) ON DELETE CASCADE NOT NULL,
+      author VARCHAR REFERENCES users(username),
+      votes INT DEFAULT 0 NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      edited_at TIMESTAMP,
+      parent_comment_id INT REFERENCES comments(comment_id)
+    );
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE comments;
+    DROP TABLE articles;
+  `);
+};
@@ -0,0 +1,32 @@
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS votes (
+      vote_id SERIAL PRIMARY KEY,
+      username VARCHAR REFERENCES users(username) ON DELETE CASCADE NOT NULL,
+      article_id INT REFERENCES articles(article_id) ON DELETE CASCADE,
+      comment_id INT REFERENCES comments(comment_id) ON DELETE CASCADE,
+      vote SMALLINT NOT NULL CHECK (vote IN (1, -1)),
+      voted_at TIMESTAMP DEFAULT NOW(),
+      CHECK ((article_id IS NULL) <> (comment_id IS NULL)),
+      UNIQUE (username, article_id),
+      UNIQUE (username, comment_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS revisions (
+      revision_id SERIAL PRIMARY KEY,
+      article_id INT REFERENCES articles(article_id) ON DELETE CASCADE,
+      comment_id INT REFERENCES comments(comment_id) ON DELETE CASCADE,
+      title VARCHAR,
+      body VARCHAR NOT NULL,
+      created_at TIMESTAMP NOT NULL,
+      CHECK ((article_id IS NULL) <> (comment_id IS NULL))
+    );
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE revisions;
+    DROP TABLE votes;
+  `);
+};
@@ -0,0 +1,58 @@
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+    ALTER TABLE comments ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+    CREATE OR REPLACE FUNCTION articles_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.body, '')), 'B');
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE FUNCTION comments_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector := to_tsvector('english', COALESCE(NEW.body, ''));
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS articles_search_vector_trigger ON articles;
+
+    CREATE TRIGGER articles_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, body ON articles
+    FOR EACH ROW EXECUTE FUNCTION articles_search_vector_update();
+
+    DROP TRIGGER IF EXISTS comments_search_vector_trigger ON comments;
+
+    CREATE TRIGGER comments_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF body ON comments
+    FOR EACH ROW EXECUTE FUNCTION comments_search_vector_update();
+
+    UPDATE articles SET search_vector =
+      setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(body, '')), 'B')
+    WHERE search_vector IS NULL;
+
+    UPDATE comments SET search_vector = to_tsvector('english', COALESCE(body, ''))
+    WHERE search_vector IS NULL;
+
+    CREATE INDEX IF NOT EXISTS articles_search_vector_idx ON articles USING GIN (search_vector);
+
+    CREATE INDEX IF NOT EXISTS comments_search_vector_idx ON comments USING GIN (search_vector);
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TRIGGER comments_search_vector_trigger ON comments;
+    DROP TRIGGER articles_search_vector_trigger ON articles;
+    DROP FUNCTION comments_search_vector_update();
+    DROP FUNCTION articles_search_vector_update();
+    ALTER TABLE comments DROP COLUMN search_vector;
+    ALTER TABLE articles DROP COLUMN search_vector;
+  `);
+};
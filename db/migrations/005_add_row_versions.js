@@ -0,0 +1,57 @@
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE articles
+    ADD COLUMN version INT DEFAULT 1 NOT NULL,
+    ADD COLUMN modified_at TIMESTAMP DEFAULT NOW() NOT NULL;
+
+    ALTER TABLE comments ADD COLUMN version INT DEFAULT 1 NOT NULL;
+
+    CREATE FUNCTION articles_version_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.version := OLD.version + 1;
+      NEW.modified_at := NOW();
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE FUNCTION comments_version_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.version := OLD.version + 1;
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE FUNCTION comments_touch_article() RETURNS trigger AS $$
+    BEGIN
+      UPDATE articles SET modified_at = NOW()
+      WHERE article_id = COALESCE(NEW.article_id, OLD.article_id);
+      RETURN NULL;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER articles_version_trigger
+    BEFORE UPDATE ON articles
+    FOR EACH ROW EXECUTE FUNCTION articles_version_update();
+
+    CREATE TRIGGER comments_version_trigger
+    BEFORE UPDATE ON comments
+    FOR EACH ROW EXECUTE FUNCTION comments_version_update();
+
+    CREATE TRIGGER comments_touch_article_trigger
+    AFTER INSERT OR DELETE ON comments
+    FOR EACH ROW EXECUTE FUNCTION comments_touch_article();
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TRIGGER comments_touch_article_trigger ON comments;
+    DROP TRIGGER comments_version_trigger ON comments;
+    DROP TRIGGER articles_version_trigger ON articles;
+    DROP FUNCTION comments_touch_article();
+    DROP FUNCTION comments_version_update();
+    DROP FUNCTION articles_version_update();
+    ALTER TABLE comments DROP COLUMN version;
+    ALTER TABLE articles DROP COLUMN version, DROP COLUMN modified_at;
+  `);
+};
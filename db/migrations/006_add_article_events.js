@@ -0,0 +1,42 @@
+// Every change a live stream reports is stored here first, so a client that
+// reconnects with Last-Event-ID can be sent what it missed. The trigger only
+// announces the new event_id; listeners read the event itself from the table,
+// which keeps NOTIFY payloads small whatever the comment body.
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE article_events (
+      event_id SERIAL PRIMARY KEY,
+      article_id INT NOT NULL REFERENCES articles(article_id) ON DELETE CASCADE,
+      event VARCHAR NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    );
+
+    CREATE INDEX article_events_article_id_index
+    ON article_events (article_id, event_id);
+
+    CREATE FUNCTION article_events_notify() RETURNS trigger AS $$
+    BEGIN
+      PERFORM pg_notify(
+        'article_events',
+        json_build_object(
+          'event_id', NEW.event_id,
+          'article_id', NEW.article_id
+        )::text
+      );
+      RETURN NULL;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER article_events_notify_trigger
+    AFTER INSERT ON article_events
+    FOR EACH ROW EXECUTE FUNCTION article_events_notify();
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE article_events;
+    DROP FUNCTION article_events_notify();
+  `);
+};
@@ -0,0 +1,42 @@
+// Deliveries are queued in the same transaction as the change they report and
+// sent later by the dispatcher, so a slow or broken receiver never holds up a
+// request. A pending delivery is retried whenever next_attempt_at has passed.
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE webhooks (
+      webhook_id SERIAL PRIMARY KEY,
+      url VARCHAR NOT NULL,
+      events VARCHAR[] NOT NULL,
+      secret VARCHAR NOT NULL,
+      created_by VARCHAR REFERENCES users(username) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    );
+
+    CREATE TABLE webhook_deliveries (
+      delivery_id SERIAL PRIMARY KEY,
+      webhook_id INT NOT NULL REFERENCES webhooks(webhook_id) ON DELETE CASCADE,
+      event VARCHAR NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR DEFAULT 'pending' NOT NULL
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+      attempts INT DEFAULT 0 NOT NULL,
+      next_attempt_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      last_attempt_at TIMESTAMP,
+      response_status INT,
+      last_error VARCHAR,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    );
+
+    CREATE INDEX webhook_deliveries_due_index
+    ON webhook_deliveries (next_attempt_at)
+    WHERE status = 'pending';
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE webhook_deliveries;
+    DROP TABLE webhooks;
+  `);
+};
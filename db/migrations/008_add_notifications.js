@@ -0,0 +1,29 @@
+// A vote milestone is only ever announced once per article or comment, even
+// if its votes drop below the milestone and pass it again.
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE notifications (
+      notification_id SERIAL PRIMARY KEY,
+      username VARCHAR NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+      type VARCHAR NOT NULL
+        CHECK (type IN ('new_comment', 'reply', 'vote_milestone')),
+      actor VARCHAR REFERENCES users(username) ON DELETE SET NULL,
+      article_id INT NOT NULL REFERENCES articles(article_id) ON DELETE CASCADE,
+      comment_id INT REFERENCES comments(comment_id) ON DELETE CASCADE,
+      milestone INT,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    );
+
+    CREATE INDEX notifications_username_index
+    ON notifications (username, notification_id);
+
+    CREATE UNIQUE INDEX notifications_vote_milestone_index
+    ON notifications (article_id, COALESCE(comment_id, 0), milestone)
+    WHERE type = 'vote_milestone';
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`DROP TABLE notifications;`);
+};
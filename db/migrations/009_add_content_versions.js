@@ -0,0 +1,55 @@
+// version changes with anything shown for the row, including votes and (for
+// articles) comments, so it drives ETags for GETs. content_version only
+// changes when the title or body is edited, and is what If-Match is checked
+// against, so a vote cast meanwhile does not make an edit fail.
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE articles ADD COLUMN content_version INT DEFAULT 1 NOT NULL;
+
+    ALTER TABLE comments ADD COLUMN content_version INT DEFAULT 1 NOT NULL;
+
+    CREATE OR REPLACE FUNCTION articles_version_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.version := OLD.version + 1;
+      NEW.modified_at := NOW();
+      IF NEW.title IS DISTINCT FROM OLD.title
+      OR NEW.body IS DISTINCT FROM OLD.body THEN
+        NEW.content_version := OLD.content_version + 1;
+      END IF;
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE FUNCTION comments_version_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.version := OLD.version + 1;
+      IF NEW.body IS DISTINCT FROM OLD.body THEN
+        NEW.content_version := OLD.content_version + 1;
+      END IF;
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    CREATE OR REPLACE FUNCTION articles_version_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.version := OLD.version + 1;
+      NEW.modified_at := NOW();
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE OR REPLACE FUNCTION comments_version_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.version := OLD.version + 1;
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+
+    ALTER TABLE comments DROP COLUMN content_version;
+    ALTER TABLE articles DROP COLUMN content_version;
+  `);
+};
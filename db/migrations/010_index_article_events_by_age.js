@@ -0,0 +1,12 @@
+// Old events are pruned by age, so they are found by created_at rather than
+// by scanning the whole table.
+exports.up = (client) => {
+  return client.query(`
+    CREATE INDEX article_events_created_at_index
+    ON article_events (created_at);
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`DROP INDEX article_events_created_at_index;`);
+};
@@ -0,0 +1,15 @@
+// Only the placeholder left behind by a deleted comment with replies may be
+// without an author.
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE comments
+    ADD CONSTRAINT comments_author_check
+    CHECK (author IS NOT NULL OR body = '[deleted]');
+  `);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    ALTER TABLE comments DROP CONSTRAINT comments_author_check;
+  `);
+};
@@ -0,0 +1,28 @@
+// A database set up by the old seed.js already had topics, users, articles and
+// comments, so 001 and 002 left those tables as they were. This adds what the
+// old schema was missing. Every step is a no-op on a database the migrations
+// created.
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS password_hash VARCHAR,
+    ADD COLUMN IF NOT EXISTS role VARCHAR DEFAULT 'reader' NOT NULL CHECK (role IN ('reader', 'author', 'moderator', 'admin'));
+
+    ALTER TABLE articles
+    ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+    ALTER TABLE comments
+    ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS parent_comment_id INT REFERENCES comments(comment_id),
+    ALTER COLUMN author DROP NOT NULL,
+    DROP CONSTRAINT IF EXISTS comments_article_id_fkey,
+    ADD CONSTRAINT comments_article_id_fkey
+      FOREIGN KEY (article_id) REFERENCES articles(article_id) ON DELETE CASCADE;
+  `);
+};
+
+// Nothing to undo: the columns belong to the schema 001 and 002 describe.
+exports.down = () => {
+  return Promise.resolve();
+};
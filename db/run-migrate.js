@@ -0,0 +1,53 @@
+const db = require('./connection.js');
+const { migrateUp, migrateDown, migrationStatus } = require('./migrate.js');
+
+const [command = 'up', steps = '1'] = process.argv.slice(2);
+
+const logNames = (verb, names) => {
+  if (names.length === 0) {
+    console.log(`No migrations to ${verb.toLowerCase()}`);
+  }
+  names.forEach((name) => {
+    console.log(`${verb} ${name}`);
+  });
+};
+
+const commands = {
+  up: () => {
+    return migrateUp().then((names) => {
+      logNames('Apply', names);
+    });
+  },
+  down: () => {
+    return migrateDown({ steps: Number(steps) }).then((names) => {
+      logNames('Revert', names);
+    });
+  },
+  status: () => {
+    return migrationStatus().then((migrations) => {
+      migrations.forEach(({ name, applied_at }) => {
+        console.log(
+          `${applied_at ? 'applied' : 'pending'}  ${name}${
+            applied_at ? `  (${applied_at.toISOString()})` : ''
+          }`
+        );
+      });
+    });
+  },
+};
+
+const runMigrate = () => {
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}" - use up, down or status`);
+    process.exitCode = 1;
+    return db.end();
+  }
+  return commands[command]()
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+};
+
+runMigrate();
@@ -0,0 +1,19 @@
+const db = require('../connection');
+
+const ENV = process.env.NODE_ENV || 'development';
+
+// Empties every table and restarts their ids so the seed starts from a clean
+// slate. Only for the development and test databases; seed.js itself never
+// deletes anything.
+const reset = () => {
+  if (ENV === 'production') {
+    return Promise.reject(
+      new Error('Refusing to reset the production database')
+    );
+  }
+  return db.query(
+    `TRUNCATE notifications, webhook_deliveries, webhooks, article_events, revisions, votes, comments, articles, users, topics RESTART IDENTITY CASCADE;`
+  );
+};
+
+module.exports = reset;
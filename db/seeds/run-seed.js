@@ -1,9 +1,21 @@
 const devData = require('../data/development-data/index.js');
 const seed = require('./seed.js');
+const reset = require('./reset.js');
+const { migrateUp } = require('../migrate.js');
 const db = require('../connection.js');
 
+const ENV = process.env.NODE_ENV || 'development';
+
+// Production is only ever added to, never cleared.
 const runSeed = () => {
-  return seed(devData).then(() => db.end());
+  return migrateUp()
+    .then(() => (ENV === 'production' ? null : reset()))
+    .then(() => seed(devData))
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
 };
 
 runSeed();
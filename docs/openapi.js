@@ -0,0 +1,188 @@
+const { STATUS_CODES } = require("http");
+const endpoints = require("../endpoints.json");
+const { version } = require("../package.json");
+const { requireAuth } = require("../controllers/auth.controller.js");
+const { listRoutes } = require("../controllers/routes.controller.js");
+
+const defaultStatus = { get: 200, post: 201, patch: 200, delete: 204 };
+
+exports.endpointKey = (method, path) => {
+  return `${method.toUpperCase()} /api${path === "/" ? "" : path}`;
+};
+
+const ruleToSchema = (rule = {}) => {
+  if (rule.type === "array") {
+    const schema = { type: "array", items: ruleToSchema(rule.items) };
+    if (rule.nonEmpty) schema.minItems = 1;
+    return schema;
+  }
+  const schema = {};
+  if (rule.oneOf) {
+    schema.type = typeof rule.oneOf[0] === "number" ? "integer" : "string";
+    schema.enum = rule.oneOf;
+  } else {
+    schema.type = rule.type || "string";
+  }
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.nonEmpty) schema.minLength = 1;
+  if (rule.minLength) schema.minLength = rule.minLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  return schema;
+};
+
+const buildParameters = (path, schema) => {
+  const pathRules = schema.params || {};
+  const pathParameters = (path.match(/:\w+/g) || []).map((param) => {
+    const name = param.slice(1);
+    return {
+      name,
+      in: "path",
+      required: true,
+      schema: ruleToSchema(pathRules[name]),
+    };
+  });
+  const queryParameters = Object.entries(schema.query || {}).map(
+    ([name, rule]) => {
+      return {
+        name,
+        in: "query",
+        required: Boolean(rule.required),
+        schema: ruleToSchema(rule),
+      };
+    }
+  );
+  return [...pathParameters, ...queryParameters];
+};
+
+const buildRequestBody = (rules, example) => {
+  const properties = {};
+  const required = [];
+  Object.entries(rules).forEach(([name, rule]) => {
+    properties[name] = ruleToSchema(rule);
+    if (rule.required) required.push(name);
+  });
+  const bodySchema = {
+    type: "object",
+    properties,
+    additionalProperties: false,
+  };
+  if (required.length > 0) bodySchema.required = required;
+
+  const content = { schema: bodySchema };
+  if (example) content.example = example;
+  return { required: true, content: { "application/json": content } };
+};
+
+const buildResponses = (status, doc, handlers) => {
+  const success = { description: STATUS_CODES[status] };
+  if (doc.exampleResponse) {
+    success.content = { "application/json": { example: doc.exampleResponse } };
+  }
+  const error = (description) => {
+    return {
+      description,
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/Error" },
+        },
+      },
+    };
+  };
+
+  const responses = { [status]: success };
+  if (handlers.includes(requireAuth)) {
+    responses[401] = error("Missing, invalid or expired token");
+  }
+  if (handlers.some((handler) => handler.requiredRole)) {
+    responses[403] = error("The caller's role is not high enough");
+  }
+  responses.default = error("Error");
+  return responses;
+};
+
+const buildOperation = ({ method, path, handlers }, doc) => {
+  const schema =
+    handlers.map((handler) => handler.schema).find((found) => found) || {};
+  const requiredRole = handlers
+    .map((handler) => handler.requiredRole)
+    .find((found) => found);
+  const status = doc.status || defaultStatus[method];
+
+  const operation = {
+    tags: [path.split("/")[1] || "api"],
+    summary: doc.description,
+    parameters: buildParameters(path, schema),
+    responses: buildResponses(status, doc, handlers),
+  };
+  if (schema.body) {
+    operation.requestBody = buildRequestBody(schema.body, doc.exampleRequest);
+  }
+  if (handlers.includes(requireAuth)) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+  if (requiredRole) {
+    operation["x-required-role"] = requiredRole;
+  }
+  return operation;
+};
+
+// Paths and methods come from the router, parameters and bodies from the
+// request schemas on each route, and descriptions and examples from
+// endpoints.json. Routes with no endpoints.json entry are left out, which the
+// tests treat as a failure.
+exports.buildOpenApiSpec = (router) => {
+  const paths = {};
+  listRoutes(router).forEach((route) => {
+    const doc = endpoints[exports.endpointKey(route.method, route.path)];
+    if (!doc) return;
+    const openApiPath = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = buildOperation(route, doc);
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "NC News API",
+      version,
+      description: endpoints["GET /api"].description,
+    },
+    servers: [
+      { url: "/api/v2", description: "Consistent response envelopes" },
+      { url: "/api", description: "Original response shapes" },
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: {
+            error: {
+              type: "object",
+              properties: {
+                code: { type: "string", example: "NOT_FOUND" },
+                msg: { type: "string", example: "Article ID not found" },
+                details: {
+                  type: "array",
+                  nullable: true,
+                  items: {
+                    type: "object",
+                    properties: {
+                      location: { type: "string" },
+                      field: { type: "string" },
+                      msg: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+};
@@ -0,0 +1,131 @@
+// Builds RSS 2.0 and Atom 1.0 documents from the rows fetchArticles serves.
+// feed is { id, title, description, link, selfLink } and every link is
+// absolute.
+
+const imageTypes = {
+  gif: "image/gif",
+  jpeg: "image/jpeg",
+  jpg: "image/jpeg",
+  png: "image/png",
+  svg: "image/svg+xml",
+  webp: "image/webp",
+};
+
+exports.contentTypes = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+};
+
+// Characters XML 1.0 does not allow anywhere, even escaped.
+const invalidXmlChars = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+exports.escapeXml = (value) => {
+  return String(value)
+    .replace(invalidXmlChars, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+const imageType = (url) => {
+  const extension = (url.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1];
+  return imageTypes[extension && extension.toLowerCase()] || "image/jpeg";
+};
+
+const latestDate = (articles, key) => {
+  const times = articles.map((article) => {
+    return new Date(article[key] || article.created_at).getTime();
+  });
+  return times.length === 0 ? new Date() : new Date(Math.max(...times));
+};
+
+const rssItem = (article, link) => {
+  const url = exports.escapeXml(link(article));
+  const lines = [
+    "    <item>",
+    `      <title>${exports.escapeXml(article.title)}</title>`,
+    `      <link>${url}</link>`,
+    `      <guid isPermaLink="true">${url}</guid>`,
+    `      <description>${exports.escapeXml(article.body)}</description>`,
+    `      <dc:creator>${exports.escapeXml(article.author)}</dc:creator>`,
+    `      <category>${exports.escapeXml(article.topic)}</category>`,
+    `      <pubDate>${new Date(article.created_at).toUTCString()}</pubDate>`,
+  ];
+  if (article.article_img_url) {
+    // RSS requires a length; 0 is the accepted value when it is not known.
+    lines.push(
+      `      <enclosure url="${exports.escapeXml(
+        article.article_img_url
+      )}" length="0" type="${imageType(article.article_img_url)}" />`
+    );
+  }
+  lines.push("    </item>");
+  return lines.join("\n");
+};
+
+const atomEntry = (article, link) => {
+  const url = exports.escapeXml(link(article));
+  const updated = new Date(article.edited_at || article.created_at);
+  const lines = [
+    "  <entry>",
+    `    <id>${url}</id>`,
+    `    <title type="text">${exports.escapeXml(article.title)}</title>`,
+    `    <link rel="alternate" href="${url}" />`,
+    `    <published>${new Date(article.created_at).toISOString()}</published>`,
+    `    <updated>${updated.toISOString()}</updated>`,
+    `    <author><name>${exports.escapeXml(article.author)}</name></author>`,
+    `    <category term="${exports.escapeXml(article.topic)}" />`,
+    `    <content type="text">${exports.escapeXml(article.body)}</content>`,
+  ];
+  if (article.article_img_url) {
+    lines.push(
+      `    <link rel="enclosure" href="${exports.escapeXml(
+        article.article_img_url
+      )}" type="${imageType(article.article_img_url)}" />`
+    );
+  }
+  lines.push("  </entry>");
+  return lines.join("\n");
+};
+
+exports.buildRssFeed = (feed, articles, link) => {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${exports.escapeXml(feed.title)}</title>`,
+    `    <link>${exports.escapeXml(feed.link)}</link>`,
+    `    <description>${exports.escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${exports.escapeXml(
+      feed.selfLink
+    )}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${latestDate(
+      articles,
+      "created_at"
+    ).toUTCString()}</lastBuildDate>`,
+    ...articles.map((article) => rssItem(article, link)),
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+exports.buildAtomFeed = (feed, articles, link) => {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${exports.escapeXml(feed.id)}</id>`,
+    `  <title type="text">${exports.escapeXml(feed.title)}</title>`,
+    `  <subtitle type="text">${exports.escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${exports.escapeXml(
+      feed.selfLink
+    )}" />`,
+    `  <link rel="alternate" href="${exports.escapeXml(feed.link)}" />`,
+    `  <updated>${latestDate(articles, "edited_at").toISOString()}</updated>`,
+    ...articles.map((article) => atomEntry(article, link)),
+    "</feed>",
+    "",
+  ].join("\n");
+};
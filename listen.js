@@ -1,8 +1,35 @@
 const { PORT = 9090 } = process.env;
 
 const app = require("./app.js");
+const { startWebhookDispatcher } = require("./webhooks/dispatcher.js");
+const db = require("./db/connection.js");
+const {
+    startArticleEventPruner,
+    closeArticleStreams,
+} = require("./models/events.model.js");
 
-app.listen(PORT, (err) => {
+let stopWebhookDispatcher = () => {};
+let stopArticleEventPruner = () => {};
+
+const server = app.listen(PORT, (err) => {
     if(err) throw err;
     console.log(`Listening on port ${PORT}...`)
-});
\ No newline at end of file
+    stopWebhookDispatcher = startWebhookDispatcher();
+    stopArticleEventPruner = startArticleEventPruner();
+});
+
+// Lets the platform shut the process down cleanly: no new deliveries or
+// pruning are started, event streams are ended (they would otherwise stay
+// open for good) along with the keep-alive connections they leave idle, other
+// requests are allowed to finish, and then the database pool is closed so
+// nothing keeps the process alive.
+process.on("SIGTERM", () => {
+    stopWebhookDispatcher();
+    stopArticleEventPruner();
+    server.close(() => {
+        db.end();
+    });
+    closeArticleStreams().then(() => {
+        server.closeIdleConnections();
+    });
+});
@@ -0,0 +1,78 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const db = require("../db/connection.js");
+
+const ENV = process.env.NODE_ENV || "development";
+
+if (ENV === "production" && !process.env.JWT_SECRET) {
+  throw new Error("JWT_SECRET not set");
+}
+
+const secret = process.env.JWT_SECRET || "nc_news_local_secret";
+
+const roles = ["reader", "author", "moderator", "admin"];
+
+exports.roles = roles;
+
+exports.hasRole = (userRole, requiredRole) => {
+  return roles.indexOf(userRole) >= roles.indexOf(requiredRole);
+};
+
+exports.createToken = (username) => {
+  return jwt.sign({ username }, secret, { expiresIn: "1d" });
+};
+
+exports.verifyToken = (token) => {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, secret, (err, payload) => {
+      if (err) {
+        return reject({ status: 401, msg: "Invalid or expired token" });
+      }
+      resolve(payload);
+    });
+  });
+};
+
+exports.registerUser = ({ username, name, avatar_url, password }) => {
+  return db
+    .query(`SELECT username FROM users WHERE username = $1;`, [username])
+    .then(({ rows }) => {
+      if (rows.length !== 0) {
+        return Promise.reject({ status: 409, msg: "Username already taken" });
+      }
+      return bcrypt.hash(password, 10);
+    })
+    .then((password_hash) => {
+      const query = `
+    INSERT INTO users
+    (username, name, avatar_url, password_hash)
+    VALUES
+    ($1, $2, $3, $4)
+    RETURNING username, name, avatar_url, role;
+    `;
+      return db.query(query, [username, name, avatar_url, password_hash]);
+    })
+    .then(({ rows }) => {
+      return rows[0];
+    });
+};
+
+exports.loginUser = ({ username, password }) => {
+  const query = `
+    SELECT username, name, avatar_url, role, password_hash FROM users
+    WHERE username = $1;
+    `;
+  return db.query(query, [username]).then(({ rows }) => {
+    const invalidLogin = { status: 401, msg: "Invalid username or password" };
+    if (rows.length === 0 || !rows[0].password_hash) {
+      return Promise.reject(invalidLogin);
+    }
+    const { password_hash, ...user } = rows[0];
+    return bcrypt.compare(password, password_hash).then((isMatch) => {
+      if (!isMatch) {
+        return Promise.reject(invalidLogin);
+      }
+      return user;
+    });
+  });
+};
@@ -0,0 +1,174 @@
+const { Client } = require("pg");
+const db = require("../db/connection.js");
+
+const channel = "article_events";
+
+// How long events are kept for clients to catch up on after reconnecting.
+const eventRetention = "1 day";
+
+// article_id => Set of { notify, close } for every open stream on this process
+const subscribers = new Map();
+let listener = null;
+
+const closeAll = () => {
+  subscribers.forEach((streams) => {
+    streams.forEach(({ close }) => close());
+  });
+  subscribers.clear();
+};
+
+// One connection per process listens for every article and hands each
+// notification to the streams for that article. It is opened for the first
+// stream and closed after the last, and if it drops every stream is closed so
+// clients reconnect and resume from their Last-Event-ID.
+const startListener = () => {
+  const client = new Client(db.options);
+  client.on("notification", ({ payload }) => {
+    const { article_id } = JSON.parse(payload);
+    (subscribers.get(article_id) || []).forEach(({ notify }) => notify());
+  });
+  client.on("error", () => {
+    listener = null;
+    closeAll();
+    client.end().catch(() => {});
+  });
+  return client
+    .connect()
+    .then(() => client.query(`LISTEN ${channel};`))
+    .then(() => client)
+    .catch((err) => {
+      listener = null;
+      return client
+        .end()
+        .catch(() => {})
+        .then(() => Promise.reject(err));
+    });
+};
+
+const stopListener = () => {
+  const stopping = listener;
+  listener = null;
+  return stopping.then(
+    (client) => client.end(),
+    () => {}
+  );
+};
+
+// Ends every open stream on this process and closes the listener, for when
+// the server is shutting down.
+exports.closeArticleStreams = () => {
+  closeAll();
+  return listener ? stopListener() : Promise.resolve();
+};
+
+// Streams read events after the last event_id they sent, so events for one
+// article have to commit in event_id order. Holding the article's row lock
+// until the transaction ends makes sure of that. Anything that also locks a
+// comment takes this lock first, so the two are always taken in the same order.
+exports.lockArticleEvents = (client, article_id) => {
+  return client.query(
+    `SELECT 1 FROM articles WHERE article_id = $1 FOR UPDATE;`,
+    [article_id]
+  );
+};
+
+// Stored in the same transaction as the change it describes, so a stream never
+// reports something that was rolled back.
+exports.recordArticleEvent = (client, article_id, event, data) => {
+  return exports.lockArticleEvents(client, article_id).then(() => {
+    return client.query(
+      `INSERT INTO article_events (article_id, event, data) VALUES ($1, $2, $3);`,
+      [article_id, event, data]
+    );
+  });
+};
+
+exports.fetchArticleEvents = (article_id, after) => {
+  const query = `
+    SELECT event_id, event, data FROM article_events
+    WHERE article_id = $1 AND event_id > $2
+    ORDER BY event_id;
+    `;
+  return db.query(query, [article_id, after]).then(({ rows }) => rows);
+};
+
+// Removes events older than the retention period and resolves with how many
+// went.
+exports.pruneArticleEvents = () => {
+  const query = `
+    DELETE FROM article_events
+    WHERE created_at < NOW() - INTERVAL '${eventRetention}';
+    `;
+  return db.query(query).then(({ rowCount }) => rowCount);
+};
+
+// Prunes old events until the returned function is called.
+exports.startArticleEventPruner = (intervalMs = 3600000) => {
+  const timer = setInterval(() => {
+    exports.pruneArticleEvents().catch((err) => {
+      console.error("Pruning article events failed:", err.message);
+    });
+  }, intervalMs);
+  return () => clearInterval(timer);
+};
+
+// Where a new stream starts: straight after the Last-Event-ID the client sent,
+// or after the newest event so far. A Last-Event-ID that is not an id this
+// server has handed out is ignored rather than refused, since browsers resend
+// whatever they last saw. expired is true when events after it may already
+// have been pruned, so the client cannot be caught up.
+exports.fetchStartingEventId = (article_id, lastEventId) => {
+  const query = `
+    SELECT
+    (
+      SELECT COALESCE(MAX(event_id), 0) FROM article_events
+      WHERE article_id = $1
+    ) AS newest_event_id,
+    (SELECT MIN(event_id) FROM article_events) AS oldest_event_id,
+    COALESCE(
+      pg_sequence_last_value(pg_get_serial_sequence('article_events', 'event_id')),
+      0
+    ) AS last_issued_id;
+    `;
+  return db.query(query, [article_id]).then(({ rows }) => {
+    const { newest_event_id, oldest_event_id } = rows[0];
+    const lastIssuedId = Number(rows[0].last_issued_id);
+    const issued =
+      /^\d+$/.test(lastEventId || "") && Number(lastEventId) <= lastIssuedId;
+    if (!issued) {
+      return { event_id: newest_event_id, expired: false };
+    }
+
+    const after = Number(lastEventId);
+    const oldestKept =
+      oldest_event_id === null ? lastIssuedId + 1 : oldest_event_id;
+    if (after < oldestKept - 1) {
+      return { event_id: newest_event_id, expired: true };
+    }
+    return { event_id: after, expired: false };
+  });
+};
+
+// Resolves with an unsubscribe function once the listener is ready, so no
+// event committed after that point can be missed. The stream is registered
+// straight away so a stream closing meanwhile cannot stop the listener under
+// it.
+exports.subscribeToArticleEvents = (article_id, stream) => {
+  const id = Number(article_id);
+  if (!subscribers.has(id)) subscribers.set(id, new Set());
+  subscribers.get(id).add(stream);
+  if (!listener) listener = startListener();
+
+  const unsubscribe = () => {
+    const streams = subscribers.get(id);
+    if (!streams || !streams.delete(stream)) return Promise.resolve();
+    if (streams.size === 0) subscribers.delete(id);
+    if (subscribers.size === 0 && listener) return stopListener();
+    return Promise.resolve();
+  };
+
+  return listener.then(
+    () => unsubscribe,
+    (err) => unsubscribe().then(() => Promise.reject(err))
+  );
+};
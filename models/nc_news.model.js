@@ -1,6 +1,401 @@
 const { response } = require("../app.js");
 const db = require("../db/connection.js");
 const format = require("pg-format");
+const { hasRole } = require("./auth.model.js");
+const {
+  diffWords,
+  deletedUsername,
+  versionTag,
+  matchesContentVersion,
+  snippetStart,
+  snippetStop,
+  formatSnippet,
+} = require("./utils.js");
+const { recordArticleEvent, lockArticleEvents } = require("./events.model.js");
+const { queueDeliveries } = require("./webhooks.model.js");
+const {
+  notifyNewComment,
+  notifyVoteMilestones,
+} = require("./notifications.model.js");
+
+const articleColumns = `article_id, title, topic, author, body, created_at, edited_at, votes, article_img_url`;
+const commentColumns = `comment_id, body, article_id, author, votes, created_at, edited_at, parent_comment_id`;
+const userColumns = `username, name, avatar_url, role`;
+
+const withTransaction = (callback) => {
+  return db.connect().then((client) => {
+    return client
+      .query("BEGIN;")
+      .then(() => callback(client))
+      .then((result) => {
+        return client.query("COMMIT;").then(() => result);
+      })
+      .catch((err) => {
+        return client.query("ROLLBACK;").then(() => Promise.reject(err));
+      })
+      .finally(() => {
+        client.release();
+      });
+  });
+};
+
+// Tells live streams and webhooks about a change, inside the transaction that
+// makes it. Webhook event names use dots, so comment_created is sent to
+// webhooks as comment.created.
+const publishEvent = (client, article_id, event, data) => {
+  return recordArticleEvent(client, article_id, event, data).then(() => {
+    return queueDeliveries(client, event.replace("_", "."), data);
+  });
+};
+
+const targets = {
+  article: {
+    table: "articles",
+    idColumn: "article_id",
+    columns: articleColumns,
+    editableColumns: ["title", "body"],
+    notFoundMsg: "Entry not found",
+    visibleClause: `deleted_at IS NULL`,
+  },
+  comment: {
+    table: "comments",
+    idColumn: "comment_id",
+    columns: commentColumns,
+    editableColumns: ["body"],
+    notFoundMsg: "Comment not found",
+    visibleClause: `article_id IN (SELECT article_id FROM articles WHERE deleted_at IS NULL)`,
+  },
+};
+
+// Rejects with a 412 when the caller sent If-Match and the row's title or body
+// has been edited since they fetched it. Called on a row already locked FOR
+// UPDATE, so a concurrent edit has to wait and then fails the same check.
+const checkPrecondition = (target, target_id, contentVersion, ifMatch) => {
+  if (
+    ifMatch !== undefined &&
+    !matchesContentVersion(ifMatch, target, Number(target_id), contentVersion)
+  ) {
+    return Promise.reject({
+      status: 412,
+      msg: `Precondition failed - the ${target} has changed since it was fetched`,
+    });
+  }
+  return Promise.resolve();
+};
+
+// Splits the versions off the updated row so they can be sent as an ETag
+// rather than in the body.
+const withVersion = (target, { version, content_version, ...row }) => {
+  const { idColumn } = targets[target];
+  return {
+    [target]: row,
+    etag: versionTag(target, row[idColumn], content_version, version),
+  };
+};
+
+const castVote = (client, target, target_id, username, vote, ifMatch) => {
+  const { table, idColumn, columns, notFoundMsg, visibleClause } =
+    targets[target];
+
+  let previousVote = 0;
+  let updated;
+  return client
+    .query(
+      format(
+        `SELECT content_version FROM %I WHERE %I = $1 AND ${visibleClause} FOR UPDATE;`,
+        table,
+        idColumn
+      ),
+      [target_id]
+    )
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: notFoundMsg });
+      }
+      return checkPrecondition(
+        target,
+        target_id,
+        rows[0].content_version,
+        ifMatch
+      );
+    })
+    .then(() => {
+      return client.query(
+        format(
+          `SELECT vote FROM votes WHERE username = $1 AND %I = $2;`,
+          idColumn
+        ),
+        [username, target_id]
+      );
+    })
+    .then(({ rows }) => {
+      if (rows.length !== 0) previousVote = rows[0].vote;
+      if (vote === 0) {
+        return client.query(
+          format(
+            `DELETE FROM votes WHERE username = $1 AND %I = $2;`,
+            idColumn
+          ),
+          [username, target_id]
+        );
+      }
+      const query = format(
+        `
+  INSERT INTO votes
+  (username, %I, vote)
+  VALUES
+  ($1, $2, $3)
+  ON CONFLICT (username, %I)
+  DO UPDATE SET vote = EXCLUDED.vote, voted_at = NOW();
+  `,
+        idColumn,
+        idColumn
+      );
+      return client.query(query, [username, target_id, vote]);
+    })
+    .then(() => {
+      const query = format(
+        `
+  UPDATE %I
+  SET votes = votes + $1
+  WHERE %I = $2
+  RETURNING ${columns}, version, content_version;
+  `,
+        table,
+        idColumn
+      );
+      return client.query(query, [vote - previousVote, target_id]);
+    })
+    .then(({ rows }) => {
+      updated = rows[0];
+      if (vote === previousVote) return;
+      const data = { article_id: updated.article_id, votes: updated.votes };
+      if (target === "comment") data.comment_id = updated.comment_id;
+      return publishEvent(
+        client,
+        updated.article_id,
+        "votes_changed",
+        data
+      ).then(() => {
+        const previousVotes = updated.votes - (vote - previousVote);
+        return notifyVoteMilestones(client, updated, previousVotes);
+      });
+    })
+    .then(() => {
+      return { ...withVersion(target, updated), user_vote: vote };
+    });
+};
+
+const reviseContent = (
+  client,
+  target,
+  target_id,
+  username,
+  changes,
+  ifMatch
+) => {
+  const {
+    table,
+    idColumn,
+    columns,
+    editableColumns,
+    notFoundMsg,
+    visibleClause,
+  } = targets[target];
+
+  return client
+    .query(
+      format(
+        `SELECT ${columns}, content_version FROM %I WHERE %I = $1 AND ${visibleClause} FOR UPDATE;`,
+        table,
+        idColumn
+      ),
+      [target_id]
+    )
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: notFoundMsg });
+      }
+      const current = rows[0];
+      if (current.author !== username) {
+        return Promise.reject({
+          status: 403,
+          msg: `Forbidden - only the author can edit this ${target}`,
+        });
+      }
+      return checkPrecondition(
+        target,
+        target_id,
+        current.content_version,
+        ifMatch
+      ).then(() => current);
+    })
+    .then((current) => {
+      const revisionQuery = format(
+        `
+  INSERT INTO revisions
+  (%I, title, body, created_at)
+  VALUES
+  ($1, $2, $3, $4);
+  `,
+        idColumn
+      );
+      return client.query(revisionQuery, [
+        target_id,
+        current.title,
+        current.body,
+        current.edited_at || current.created_at,
+      ]);
+    })
+    .then(() => {
+      const updates = editableColumns.filter(
+        (column) => changes[column] !== undefined
+      );
+      const query = format(
+        `
+  UPDATE %I
+  SET %s, edited_at = NOW()
+  WHERE %I = $1
+  RETURNING ${columns}, version, content_version;
+  `,
+        table,
+        updates
+          .map((column, index) => format(`%I = $${index + 2}`, column))
+          .join(", "),
+        idColumn
+      );
+      return client.query(query, [
+        target_id,
+        ...updates.map((column) => changes[column]),
+      ]);
+    })
+    .then(({ rows }) => {
+      return withVersion(target, rows[0]);
+    });
+};
+
+// The edit and the vote share one transaction so a failed vote rolls the edit
+// back. If-Match is checked by whichever step runs first; a vote cast after an
+// edit in the same request would otherwise fail against the edit's version.
+const updateTarget = (
+  target,
+  target_id,
+  username,
+  { inc_votes, vote = inc_votes, ...changes },
+  ifMatch
+) => {
+  const { editableColumns } = targets[target];
+  if (inc_votes !== undefined && inc_votes !== vote) {
+    return Promise.reject({
+      status: 400,
+      msg: "Conflicting votes - send inc_votes or vote, not both",
+    });
+  }
+  const hasChanges = editableColumns.some(
+    (column) => changes[column] !== undefined
+  );
+
+  return withTransaction((client) => {
+    // Votes on a comment publish an event, which locks its article. Taking
+    // that lock before the comment's keeps to the order lockArticleEvents
+    // asks for.
+    const articleLock =
+      target === "comment"
+        ? client
+            .query(`SELECT article_id FROM comments WHERE comment_id = $1;`, [
+              target_id,
+            ])
+            .then(({ rows }) => {
+              if (rows.length !== 0) {
+                return lockArticleEvents(client, rows[0].article_id);
+              }
+            })
+        : Promise.resolve();
+
+    return articleLock
+      .then(() => {
+        if (!hasChanges) return;
+        return reviseContent(
+          client,
+          target,
+          target_id,
+          username,
+          changes,
+          ifMatch
+        );
+      })
+      .then((revised) => {
+        if (vote === undefined) return revised;
+        return castVote(
+          client,
+          target,
+          target_id,
+          username,
+          vote,
+          hasChanges ? undefined : ifMatch
+        );
+      });
+  });
+};
+
+const fetchRevisions = (target, target_id, from, to) => {
+  const { table, idColumn, editableColumns, notFoundMsg, visibleClause } =
+    targets[target];
+
+  const currentQuery = format(
+    `
+    SELECT %s, COALESCE(edited_at, created_at) AS created_at FROM %I
+    WHERE %I = $1 AND ${visibleClause};
+    `,
+    editableColumns.map((column) => format("%I", column)).join(", "),
+    table,
+    idColumn
+  );
+  const revisionsQuery = format(
+    `
+    SELECT %s, created_at FROM revisions
+    WHERE %I = $1
+    ORDER BY revision_id ASC;
+    `,
+    editableColumns.map((column) => format("%I", column)).join(", "),
+    idColumn
+  );
+
+  return Promise.all([
+    db.query(currentQuery, [target_id]),
+    db.query(revisionsQuery, [target_id]),
+  ]).then(([currentResult, revisionsResult]) => {
+    if (currentResult.rows.length === 0) {
+      return Promise.reject({ status: 404, msg: notFoundMsg });
+    }
+    const revisions = [...revisionsResult.rows, currentResult.rows[0]].map(
+      (revision, index) => {
+        return { version: index + 1, ...revision };
+      }
+    );
+
+    if (from === undefined && to === undefined) {
+      return { revisions };
+    }
+
+    const fromRevision = revisions[(from || 1) - 1];
+    const toRevision = revisions[(to || revisions.length) - 1];
+    if (!fromRevision || !toRevision) {
+      return Promise.reject({ status: 404, msg: "Revision not found" });
+    }
+    const diff = { from: fromRevision.version, to: toRevision.version };
+    editableColumns.forEach((column) => {
+      diff[column] = diffWords(fromRevision[column], toRevision[column]);
+    });
+    if (editableColumns.some((column) => diff[column] === null)) {
+      return Promise.reject({
+        status: 400,
+        msg: "Revisions too different to diff - fetch them without from and to instead",
+      });
+    }
+    return { diff };
+  });
+};
 
 exports.fetchTopics = (topic) => {
   const array = [];
@@ -21,13 +416,155 @@ exports.fetchTopics = (topic) => {
     return result;
   });
 };
+const topicStatsQuery = (whereClause, orderClause) => {
+  return `
+    WITH article_stats AS (
+      SELECT articles.article_id, articles.topic, articles.author, articles.votes, articles.created_at, COUNT(comments.comment_id) AS comment_count
+      FROM articles
+      LEFT JOIN comments
+      ON articles.article_id = comments.article_id
+      WHERE articles.deleted_at IS NULL
+      GROUP BY articles.article_id
+    )
+    SELECT topics.slug, topics.description,
+      CAST(COUNT(article_stats.article_id) AS INT) AS article_count,
+      CAST(COALESCE(SUM(article_stats.comment_count), 0) AS INT) AS comment_count,
+      CAST(COALESCE(SUM(article_stats.votes), 0) AS INT) AS total_votes,
+      MAX(article_stats.created_at) AS latest_article_at
+    FROM topics
+    LEFT JOIN article_stats
+    ON topics.slug = article_stats.topic
+    ${whereClause}
+    GROUP BY topics.slug
+    ${orderClause};
+    `;
+};
+
+exports.fetchTopicStats = (sort_by, order) => {
+  sort_by = sort_by || "slug";
+  order = order || (sort_by === "slug" ? "asc" : "desc");
+
+  if (
+    ![
+      "slug",
+      "article_count",
+      "comment_count",
+      "total_votes",
+      "latest_article_at",
+    ].includes(sort_by)
+  ) {
+    return Promise.reject({ status: 400, msg: "Invalid sort query" });
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return Promise.reject({ status: 400, msg: "Invalid order query" });
+  }
+
+  const query = topicStatsQuery(
+    "",
+    `ORDER BY ${sort_by} ${order} NULLS LAST, topics.slug ASC`
+  );
+  return db.query(query);
+};
+
+exports.fetchTopicDetail = (slug) => {
+  const topicQuery = topicStatsQuery("WHERE topics.slug = $1", "");
+  const authorsQuery = `
+    SELECT author, CAST(COUNT(*) AS INT) AS article_count, CAST(SUM(votes) AS INT) AS total_votes
+    FROM articles
+    WHERE topic = $1
+    AND deleted_at IS NULL
+    GROUP BY author
+    ORDER BY article_count DESC, total_votes DESC, author ASC
+    LIMIT 5;
+    `;
+  return Promise.all([
+    db.query(topicQuery, [slug]),
+    db.query(authorsQuery, [slug]),
+  ]).then(([topicResult, authorsResult]) => {
+    if (topicResult.rows.length === 0) {
+      return Promise.reject({ status: 404, msg: "Topic not found" });
+    }
+    return { ...topicResult.rows[0], top_authors: authorsResult.rows };
+  });
+};
+
+exports.insertTopic = ({ slug, description }) => {
+  const query = `
+    INSERT INTO topics
+    (slug, description)
+    VALUES
+    ($1, $2)
+    RETURNING *;
+    `;
+  return db.query(query, [slug, description]).then(({ rows }) => {
+    return rows[0];
+  });
+};
+
+exports.editTopic = ({ description }, slug) => {
+  const query = `
+    UPDATE topics
+    SET description = $1
+    WHERE slug = $2
+    RETURNING *;
+    `;
+  return db.query(query, [description, slug]).then(({ rows }) => {
+    if (rows.length === 0) {
+      return Promise.reject({ status: 404, msg: "Topic not found" });
+    }
+    return rows[0];
+  });
+};
+
+exports.removeTopic = (slug, reassign_to) => {
+  if (reassign_to === slug) {
+    return Promise.reject({
+      status: 400,
+      msg: "Cannot reassign articles to the topic being deleted",
+    });
+  }
+
+  const checks = [exports.fetchTopics(slug)];
+  if (reassign_to !== undefined) {
+    checks.push(exports.fetchTopics(reassign_to));
+  }
+
+  return Promise.all(checks).then(() => {
+    return withTransaction((client) => {
+      const deleteQuery = `DELETE FROM topics WHERE slug = $1;`;
+
+      if (reassign_to !== undefined) {
+        return client
+          .query(`UPDATE articles SET topic = $1 WHERE topic = $2;`, [
+            reassign_to,
+            slug,
+          ])
+          .then(() => client.query(deleteQuery, [slug]));
+      }
+
+      return client
+        .query(`SELECT 1 FROM articles WHERE topic = $1 LIMIT 1;`, [slug])
+        .then(({ rows }) => {
+          if (rows.length !== 0) {
+            return Promise.reject({
+              status: 409,
+              msg: "Topic still has articles - pass reassign_to to move them first",
+            });
+          }
+          return client.query(deleteQuery, [slug]);
+        });
+    });
+  });
+};
+
 exports.fetchArticleId = (articleId) => {
   const query = `
-    SELECT articles.article_id, articles.body, articles.title, articles.topic, articles.author, articles.created_at, articles.article_img_url, CAST(COUNT(comments.article_id) AS INT) AS comment_count, articles.votes
+    SELECT articles.article_id, articles.body, articles.title, articles.topic, articles.author, articles.created_at, articles.edited_at, articles.article_img_url, CAST(COUNT(comments.article_id) AS INT) AS comment_count, articles.votes
     FROM articles
     LEFT JOIN comments 
     ON articles.article_id = comments.article_id
     WHERE articles.article_id = $1
+    AND articles.deleted_at IS NULL
     GROUP BY articles.article_id, comments.article_id
     ORDER BY articles.created_at DESC;
     `;
@@ -39,41 +576,257 @@ exports.fetchArticleId = (articleId) => {
   });
 };
 
-exports.fetchComments = (article_id) => {
+// Cheap stand-ins for fetchArticleId and fetchArticles that read only the
+// articles table. The version columns are bumped by triggers whenever an
+// article or its comment count changes, so they can be used to answer
+// conditional GETs without running the joins.
+exports.fetchArticleVersion = (article_id) => {
+  const query = `
+    SELECT article_id, version, content_version, modified_at FROM articles
+    WHERE article_id = $1
+    AND deleted_at IS NULL;
+    `;
+  return db.query(query, [article_id]).then(({ rows }) => {
+    return rows[0];
+  });
+};
+
+exports.fetchArticlesVersion = (topic, author) => {
+  const values = [];
+  let whereClause = `WHERE deleted_at IS NULL`;
+  if (topic) {
+    values.push(topic);
+    whereClause += ` AND topic = $${values.length}`;
+  }
+  if (author) {
+    values.push(author);
+    whereClause += ` AND author = $${values.length}`;
+  }
+  const query = `
+    SELECT CAST(COUNT(*) AS INT) AS article_count, COALESCE(SUM(version), 0) AS version_total, COALESCE(MAX(article_id), 0) AS latest_article_id
+    FROM articles
+    ${whereClause};
+    `;
+  return db.query(query, values).then(({ rows }) => {
+    return rows[0];
+  });
+};
+
+exports.fetchCommentsVersion = (article_id) => {
+  const query = `
+    SELECT CAST(COUNT(*) AS INT) AS comment_count, COALESCE(SUM(version), 0) AS version_total, COALESCE(MAX(comment_id), 0) AS latest_comment_id
+    FROM comments
+    WHERE article_id = $1;
+    `;
+  return db.query(query, [article_id]).then(({ rows }) => {
+    return rows[0];
+  });
+};
+
+exports.insertArticle = (articleBody) => {
+  const { author, title, body, topic, article_img_url } = articleBody;
+
+  return Promise.all([
+    exports.fetchSingleUser(author),
+    exports.fetchTopics(topic),
+  ]).then(() => {
+    const columns = ["author", "title", "body", "topic"];
+    const values = [author, title, body, topic];
+    if (article_img_url) {
+      columns.push("article_img_url");
+      values.push(article_img_url);
+    }
+    const query = format(
+      `
+    INSERT INTO articles
+    (%I)
+    VALUES
+    (%L)
+    RETURNING ${articleColumns};
+    `,
+      columns,
+      values
+    );
+    return withTransaction((client) => {
+      return client.query(query).then(({ rows }) => {
+        const article = { ...rows[0], comment_count: 0 };
+        return queueDeliveries(client, "article.created", { article }).then(
+          () => article
+        );
+      });
+    });
+  });
+};
+
+exports.fetchComments = (article_id, sort_by, order, limit, p) => {
+  sort_by = sort_by || "created_at";
+  order = order || "desc";
+  limit = limit || 10;
+  p = p || 1;
+
+  if (!["votes", "created_at"].includes(sort_by)) {
+    return Promise.reject({ status: 400, msg: "Invalid sort query" });
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return Promise.reject({ status: 400, msg: "Invalid order query" });
+  }
+
+  const query = `
+    SELECT ${commentColumns} FROM comments
+    WHERE article_id = $1
+    ORDER BY ${sort_by} ${order}, comment_id ${order}
+    LIMIT ${limit} OFFSET ${(p - 1) * limit};
+    `;
+  const countQuery = `
+    SELECT CAST(COUNT(*) AS INT) AS total_count FROM comments
+    WHERE article_id = $1;
+    `;
+  return Promise.all([
+    db.query(query, [article_id]),
+    db.query(countQuery, [article_id]),
+  ]).then(([{ rows }, countResult]) => {
+    return { comments: rows, total_count: countResult.rows[0].total_count };
+  });
+};
+
+exports.fetchCommentTree = (article_id, sort_by, order, limit, p, depth) => {
+  sort_by = sort_by || "created_at";
+  order = order || "desc";
+  limit = limit || 10;
+  p = p || 1;
+  depth = depth || 3;
+
+  if (!["votes", "created_at"].includes(sort_by)) {
+    return Promise.reject({ status: 400, msg: "Invalid sort query" });
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return Promise.reject({ status: 400, msg: "Invalid order query" });
+  }
+
   const query = `
-    SELECT * FROM comments
+    WITH RECURSIVE thread AS (
+      SELECT top_level.*, 1 AS depth FROM (
+        SELECT ${commentColumns} FROM comments
+        WHERE article_id = $1
+        AND parent_comment_id IS NULL
+        ORDER BY ${sort_by} ${order}, comment_id ${order}
+        LIMIT ${limit} OFFSET ${(p - 1) * limit}
+      ) AS top_level
+      UNION ALL
+      SELECT replies.comment_id, replies.body, replies.article_id, replies.author, replies.votes, replies.created_at, replies.edited_at, replies.parent_comment_id, thread.depth + 1
+      FROM comments AS replies
+      JOIN thread
+      ON replies.parent_comment_id = thread.comment_id
+      WHERE thread.depth < $2
+    )
+    SELECT thread.*, (
+      SELECT CAST(COUNT(*) AS INT) FROM comments
+      WHERE comments.parent_comment_id = thread.comment_id
+    ) AS reply_count
+    FROM thread
+    ORDER BY ${sort_by} ${order}, comment_id ${order};
+    `;
+  const countQuery = `
+    SELECT CAST(COUNT(*) AS INT) AS total_count FROM comments
     WHERE article_id = $1
-    ORDER BY created_at DESC;
+    AND parent_comment_id IS NULL;
     `;
-  return db.query(query, [article_id]);
+
+  return Promise.all([
+    db.query(query, [article_id, depth]),
+    db.query(countQuery, [article_id]),
+  ]).then(([{ rows }, countResult]) => {
+    const commentsById = {};
+    const comments = [];
+    rows.forEach(({ depth, ...comment }) => {
+      commentsById[comment.comment_id] = { ...comment, replies: [] };
+    });
+    rows.forEach(({ comment_id, parent_comment_id }) => {
+      const parent = commentsById[parent_comment_id];
+      if (parent) {
+        parent.replies.push(commentsById[comment_id]);
+      } else {
+        comments.push(commentsById[comment_id]);
+      }
+    });
+    return { comments, total_count: countResult.rows[0].total_count };
+  });
 };
 
 exports.insertComment = (commentBody, article_id) => {
-  const { username, body } = commentBody;
+  const { username, body, parent_comment_id } = commentBody;
   const newArticle_id = parseInt(article_id);
 
+  const parentQuery = `
+    SELECT article_id FROM comments
+    WHERE comment_id = $1;
+    `;
+  // Holds off a soft delete until the comment is in. FOR UPDATE rather than
+  // FOR SHARE, since the insert trigger updates the article row anyway and two
+  // shared locks waiting to upgrade would deadlock.
+  const articleQuery = `
+    SELECT article_id FROM articles
+    WHERE article_id = $1 AND deleted_at IS NULL
+    FOR UPDATE;
+    `;
   const query = `
     INSERT INTO comments
-    (body, author, article_id)
+    (body, author, article_id, parent_comment_id)
     VALUES
-    ($1, $2, $3)
-    RETURNING *
+    ($1, $2, $3, $4)
+    RETURNING ${commentColumns}
     ;
     `;
-  return db.query(query, [body, username, newArticle_id]).then(({ rows }) => {
-    if (rows[0].body.length === 0) {
-      return Promise.reject({
-        status: 400,
-        msg: "Empty body - comment could not be added",
-      });
-    }
-    return rows[0];
+
+  const parentCheck =
+    parent_comment_id === undefined
+      ? Promise.resolve()
+      : db.query(parentQuery, [parent_comment_id]).then(({ rows }) => {
+          if (rows.length === 0) {
+            return Promise.reject({
+              status: 404,
+              msg: "Parent comment not found",
+            });
+          }
+          if (rows[0].article_id !== newArticle_id) {
+            return Promise.reject({
+              status: 400,
+              msg: "Parent comment belongs to a different article",
+            });
+          }
+        });
+
+  return parentCheck.then(() => {
+    return withTransaction((client) => {
+      return client
+        .query(articleQuery, [newArticle_id])
+        .then(({ rows }) => {
+          if (rows.length === 0) {
+            return Promise.reject({ status: 404, msg: "Entry not found" });
+          }
+          return client.query(query, [
+            body,
+            username,
+            newArticle_id,
+            parent_comment_id,
+          ]);
+        })
+        .then(({ rows }) => {
+          return publishEvent(client, newArticle_id, "comment_created", {
+            comment: rows[0],
+          })
+            .then(() => notifyNewComment(client, rows[0], parent_comment_id))
+            .then(() => rows[0]);
+        });
+    });
   });
 };
 
-exports.fetchArticles = (topic, sort_by, order) => {
+exports.fetchArticles = (topic, author, sort_by, order, limit, p) => {
   sort_by = sort_by || "created_at";
   order = order || "desc";
+  limit = limit || 10;
+  p = p || 1;
 
   if (
     ![
@@ -95,68 +848,317 @@ exports.fetchArticles = (topic, sort_by, order) => {
 
   const array = [];
 
-  let query = `
-  SELECT articles.article_id, articles.body, articles.title, articles.topic, articles.author, articles.created_at, articles.article_img_url, articles.votes, CAST(COUNT(comments.article_id) AS INT) AS comment_count
-    FROM articles
-    LEFT JOIN comments 
-    ON articles.article_id = comments.article_id
+  let whereClause = `
+    WHERE articles.deleted_at IS NULL
     `;
 
   if (topic) {
-    query += `
-        WHERE topic = $1
-        `;
     array.push(topic);
+    whereClause += `
+        AND topic = $${array.length}
+        `;
+  }
+
+  if (author) {
+    array.push(author);
+    whereClause += `
+        AND articles.author = $${array.length}
+        `;
   }
 
-  query += `
-  GROUP BY articles.article_id, articles.body, articles.title, articles.topic, articles.author, articles.created_at, articles.article_img_url, articles.votes
-    ORDER BY ${sort_by} ${order};`;
+  const query = `
+  SELECT articles.article_id, articles.body, articles.title, articles.topic, articles.author, articles.created_at, articles.edited_at, articles.article_img_url, articles.votes, CAST(COUNT(comments.article_id) AS INT) AS comment_count
+    FROM articles
+    LEFT JOIN comments 
+    ON articles.article_id = comments.article_id
+    ${whereClause}
+  GROUP BY articles.article_id, articles.body, articles.title, articles.topic, articles.author, articles.created_at, articles.edited_at, articles.article_img_url, articles.votes
+    ORDER BY ${sort_by} ${order}, articles.article_id ${order}
+    LIMIT ${limit} OFFSET ${(p - 1) * limit};`;
+
+  const countQuery = `
+  SELECT CAST(COUNT(*) AS INT) AS total_count
+    FROM articles
+    ${whereClause};`;
+
+  return Promise.all([
+    db.query(query, array),
+    db.query(countQuery, array),
+  ]).then(([{ rows }, countResult]) => {
+    return { articles: rows, total_count: countResult.rows[0].total_count };
+  });
+};
 
-  return db.query(query, array);
+exports.editArticle = (
+  { inc_votes, vote, title, body },
+  article_id,
+  username,
+  ifMatch
+) => {
+  return updateTarget(
+    "article",
+    article_id,
+    username,
+    { inc_votes, vote, title, body },
+    ifMatch
+  );
 };
 
-exports.editArticle = ({ inc_votes }, article_id) => {
-  const query = `
+exports.fetchArticleRevisions = (article_id, from, to) => {
+  return fetchRevisions("article", article_id, from, to);
+};
+
+exports.removeArticle = (article_id, soft) => {
+  if (soft === "true") {
+    const query = `
     UPDATE articles
-    SET votes = votes + $1
-    WHERE article_id = $2
-    RETURNING *
+    SET deleted_at = NOW()
+    WHERE article_id = $1
+    AND deleted_at IS NULL;
     `;
-  return db.query(query, [inc_votes, article_id]).then((result) => {
-    if (result.rows.length === 0) {
-      return Promise.reject({ status: 404, msg: "Entry not found" });
-    }
-    return result;
+    return db.query(query, [article_id]).then((result) => {
+      if (result.rowCount === 0) {
+        return Promise.reject({ status: 404, msg: "Article ID not found" });
+      }
+      return result;
+    });
+  }
+
+  return withTransaction((client) => {
+    return client
+      .query(`DELETE FROM comments WHERE article_id = $1;`, [article_id])
+      .then(() => {
+        return client.query(`DELETE FROM articles WHERE article_id = $1;`, [
+          article_id,
+        ]);
+      })
+      .then((result) => {
+        if (result.rowCount === 0) {
+          return Promise.reject({ status: 404, msg: "Article ID not found" });
+        }
+        return result;
+      });
+  });
+};
+
+// Deletes a placeholder once its last reply has gone, then does the same for
+// its own parent, and so on up the thread.
+const removeEmptyPlaceholders = (client, comment_id, article_id) => {
+  if (comment_id === null) return Promise.resolve();
+  const query = `
+    DELETE FROM comments
+    WHERE comment_id = $1
+    AND author IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM comments AS replies
+      WHERE replies.parent_comment_id = comments.comment_id
+    )
+    RETURNING parent_comment_id;
+    `;
+  return client.query(query, [comment_id]).then(({ rows }) => {
+    if (rows.length === 0) return;
+    return publishEvent(client, article_id, "comment_deleted", {
+      comment_id,
+      article_id,
+    }).then(() => {
+      return removeEmptyPlaceholders(
+        client,
+        rows[0].parent_comment_id,
+        article_id
+      );
+    });
   });
 };
 
-exports.removeComment = (comment_id) => {
+exports.removeComment = (comment_id, user) => {
+  const selectQuery = `
+    SELECT author, article_id, parent_comment_id, EXISTS (
+      SELECT 1 FROM comments AS replies
+      WHERE replies.parent_comment_id = comments.comment_id
+    ) AS has_replies
+    FROM comments
+    WHERE comment_id = $1;
+    `;
+  // Locks every comment above this one, so when two replies to a placeholder
+  // are deleted at once the second sees the first has gone.
+  const lockAncestorsQuery = `
+    SELECT comment_id FROM comments
+    WHERE comment_id IN (
+      WITH RECURSIVE ancestors AS (
+        SELECT parent_comment_id FROM comments WHERE comment_id = $1
+        UNION ALL
+        SELECT comments.parent_comment_id FROM comments
+        JOIN ancestors ON comments.comment_id = ancestors.parent_comment_id
+      )
+      SELECT parent_comment_id FROM ancestors
+    )
+    ORDER BY comment_id
+    FOR UPDATE;
+    `;
   const query = `
     DELETE from comments
     WHERE comment_id = $1;
     `;
-  return db.query(query, [comment_id]).then((result) => {
-    if (result.rowCount === 0) {
+  const placeholderQuery = `
+    UPDATE comments
+    SET body = '[deleted]', author = NULL
+    WHERE comment_id = $1;
+    `;
+  const revisionsQuery = `
+    DELETE FROM revisions
+    WHERE comment_id = $1;
+    `;
+  return db.query(selectQuery, [comment_id]).then(({ rows }) => {
+    if (rows.length === 0) {
       return Promise.reject({
         status: 404,
         msg: "Comment does not exist",
       });
     }
-    return result;
+    if (rows[0].author !== user.username && !hasRole(user.role, "moderator")) {
+      return Promise.reject({
+        status: 403,
+        msg: "Forbidden - only the author or a moderator can delete this comment",
+      });
+    }
+    const { article_id, parent_comment_id, has_replies } = rows[0];
+    return withTransaction((client) => {
+      return lockArticleEvents(client, article_id).then(() => {
+        // A placeholder keeps none of the comment's earlier versions either.
+        const deletion = has_replies
+          ? client
+              .query(placeholderQuery, [comment_id])
+              .then(() => client.query(revisionsQuery, [comment_id]))
+          : client
+              .query(lockAncestorsQuery, [comment_id])
+              .then(() => client.query(query, [comment_id]));
+        return deletion
+          .then(() => {
+            return publishEvent(client, article_id, "comment_deleted", {
+              comment_id: Number(comment_id),
+              article_id,
+            });
+          })
+          .then(() => {
+            if (has_replies) return;
+            return removeEmptyPlaceholders(
+              client,
+              parent_comment_id,
+              article_id
+            );
+          });
+      });
+    });
   });
 };
 
 exports.fetchUsers = () => {
   const query = `
-    SELECT * FROM users
+    SELECT ${userColumns} FROM users
+    WHERE username <> $1
     `;
-  return db.query(query);
+  return db.query(query, [deletedUsername]);
+};
+
+const checkAccountOwner = (username, user) => {
+  if (user.username !== username && !hasRole(user.role, "admin")) {
+    return Promise.reject({
+      status: 403,
+      msg: "Forbidden - you can only change your own account",
+    });
+  }
+  if (username === deletedUsername) {
+    return Promise.reject({ status: 400, msg: "Username is reserved" });
+  }
+  return Promise.resolve();
+};
+
+exports.editUser = ({ name, avatar_url }, username, user) => {
+  const query = `
+    UPDATE users
+    SET name = COALESCE($1, name), avatar_url = COALESCE($2, avatar_url)
+    WHERE username = $3
+    RETURNING ${userColumns};
+    `;
+  return checkAccountOwner(username, user)
+    .then(() => {
+      return db.query(query, [name, avatar_url, username]);
+    })
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: "Username not found" });
+      }
+      return rows[0];
+    });
+};
+
+exports.removeUser = (username, user) => {
+  return checkAccountOwner(username, user).then(() => {
+    return withTransaction((client) => {
+      return client
+        .query(
+          `
+    INSERT INTO users
+    (username, name)
+    VALUES
+    ($1, 'Deleted user')
+    ON CONFLICT DO NOTHING;
+    `,
+          [deletedUsername]
+        )
+        .then(() => {
+          // Their votes go with the account, so take them off the totals.
+          return client.query(
+            `
+    UPDATE articles SET votes = articles.votes - user_votes.vote
+    FROM votes AS user_votes
+    WHERE user_votes.article_id = articles.article_id
+    AND user_votes.username = $1;
+    `,
+            [username]
+          );
+        })
+        .then(() => {
+          return client.query(
+            `
+    UPDATE comments SET votes = comments.votes - user_votes.vote
+    FROM votes AS user_votes
+    WHERE user_votes.comment_id = comments.comment_id
+    AND user_votes.username = $1;
+    `,
+            [username]
+          );
+        })
+        .then(() => {
+          return client.query(
+            `UPDATE articles SET author = $1 WHERE author = $2;`,
+            [deletedUsername, username]
+          );
+        })
+        .then(() => {
+          return client.query(
+            `UPDATE comments SET author = $1 WHERE author = $2;`,
+            [deletedUsername, username]
+          );
+        })
+        .then(() => {
+          return client.query(`DELETE FROM users WHERE username = $1;`, [
+            username,
+          ]);
+        })
+        .then((result) => {
+          if (result.rowCount === 0) {
+            return Promise.reject({ status: 404, msg: "Username not found" });
+          }
+          return result;
+        });
+    });
+  });
 };
 
 exports.fetchSingleUser = (username) => {
   const query = `
-    SELECT * FROM users
+    SELECT ${userColumns} FROM users
     WHERE username = $1;
     `;
   return db.query(query, [username]).then((result) => {
@@ -167,18 +1169,160 @@ exports.fetchSingleUser = (username) => {
   });
 };
 
-exports.editComment = ({ inc_votes }, comment_id) => {
+exports.fetchUserProfile = (username) => {
   const query = `
-  UPDATE comments
-    SET votes = votes + $1
-    WHERE comment_id = $2
-    RETURNING *
-  `;
-  return db.query(query, [inc_votes, comment_id]).then((result) => {
-    console.log(result);
+    SELECT ${userColumns},
+      (
+        SELECT CAST(COUNT(*) AS INT) FROM articles
+        WHERE articles.author = users.username
+        AND articles.deleted_at IS NULL
+      ) AS article_count,
+      (
+        SELECT CAST(COUNT(*) AS INT) FROM comments
+        JOIN articles
+        ON comments.article_id = articles.article_id
+        WHERE comments.author = users.username
+        AND articles.deleted_at IS NULL
+      ) AS comment_count,
+      (
+        SELECT CAST(COALESCE(SUM(votes), 0) AS INT) FROM articles
+        WHERE articles.author = users.username
+        AND articles.deleted_at IS NULL
+      ) AS total_article_votes,
+      (
+        SELECT CAST(COALESCE(SUM(comments.votes), 0) AS INT) FROM comments
+        JOIN articles
+        ON comments.article_id = articles.article_id
+        WHERE comments.author = users.username
+        AND articles.deleted_at IS NULL
+      ) AS total_comment_votes
+    FROM users
+    WHERE username = $1;
+    `;
+  return db.query(query, [username]).then((result) => {
     if (result.rows.length === 0) {
-      return Promise.reject({ status: 404, msg: "Comment not found" });
+      return Promise.reject({ status: 404, msg: "Username not found" });
     }
     return result;
   });
 };
+
+exports.fetchUserComments = (username, sort_by, order, limit, p) => {
+  sort_by = sort_by || "created_at";
+  order = order || "desc";
+  limit = limit || 10;
+  p = p || 1;
+
+  if (!["votes", "created_at"].includes(sort_by)) {
+    return Promise.reject({ status: 400, msg: "Invalid sort query" });
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return Promise.reject({ status: 400, msg: "Invalid order query" });
+  }
+
+  const fromClause = `
+    FROM comments
+    JOIN articles
+    ON comments.article_id = articles.article_id
+    WHERE comments.author = $1
+    AND articles.deleted_at IS NULL
+    `;
+  const query = `
+    SELECT comments.comment_id, comments.body, comments.article_id, comments.author, comments.votes, comments.created_at, comments.edited_at, comments.parent_comment_id, articles.title AS article_title
+    ${fromClause}
+    ORDER BY comments.${sort_by} ${order}, comments.comment_id ${order}
+    LIMIT ${limit} OFFSET ${(p - 1) * limit};
+    `;
+  const countQuery = `
+    SELECT CAST(COUNT(*) AS INT) AS total_count
+    ${fromClause};
+    `;
+  return Promise.all([
+    db.query(query, [username]),
+    db.query(countQuery, [username]),
+  ]).then(([{ rows }, countResult]) => {
+    return { comments: rows, total_count: countResult.rows[0].total_count };
+  });
+};
+
+exports.editComment = (
+  { inc_votes, vote, body },
+  comment_id,
+  username,
+  ifMatch
+) => {
+  return updateTarget(
+    "comment",
+    comment_id,
+    username,
+    { inc_votes, vote, body },
+    ifMatch
+  );
+};
+
+exports.fetchCommentRevisions = (comment_id, from, to) => {
+  return fetchRevisions("comment", comment_id, from, to);
+};
+
+exports.fetchUserVotes = (username) => {
+  const query = `
+    SELECT CASE WHEN votes.comment_id IS NULL THEN 'article' ELSE 'comment' END AS type,
+      COALESCE(votes.article_id, comments.article_id) AS article_id, votes.comment_id, votes.vote, votes.voted_at
+    FROM votes
+    LEFT JOIN comments
+    ON votes.comment_id = comments.comment_id
+    WHERE votes.username = $1
+    ORDER BY votes.voted_at DESC;
+    `;
+  return db.query(query, [username]);
+};
+
+exports.fetchSearchResults = (q, limit, p) => {
+  limit = limit || 10;
+  p = p || 1;
+
+  const headlineOptions = `StartSel=${snippetStart}, StopSel=${snippetStop}, MaxFragments=2`;
+
+  const resultsQuery = `
+    SELECT 'article' AS type, articles.article_id, NULL::INT AS comment_id, articles.title, articles.author, articles.created_at,
+      ts_rank(articles.search_vector, query) AS rank,
+      articles.title || ' ' || articles.body AS document
+    FROM articles, websearch_to_tsquery('english', $1) query
+    WHERE articles.search_vector @@ query
+    AND articles.deleted_at IS NULL
+    UNION ALL
+    SELECT 'comment' AS type, comments.article_id, comments.comment_id, articles.title, comments.author, comments.created_at,
+      ts_rank(comments.search_vector, query) AS rank,
+      comments.body AS document
+    FROM comments
+    JOIN articles
+    ON comments.article_id = articles.article_id, websearch_to_tsquery('english', $1) query
+    WHERE comments.search_vector @@ query
+    AND articles.deleted_at IS NULL
+    `;
+
+  // Snippets are only worked out for the page being served.
+  const query = `
+    SELECT type, article_id, comment_id, title, author, created_at, rank,
+      ts_headline('english', translate(document, $2, ''), websearch_to_tsquery('english', $1), $3) AS snippet
+    FROM (
+      SELECT * FROM (${resultsQuery}) AS results
+      ORDER BY rank DESC, created_at DESC
+      LIMIT ${limit} OFFSET ${(p - 1) * limit}
+    ) AS page
+    ORDER BY rank DESC, created_at DESC;
+    `;
+  const countQuery = `
+    SELECT CAST(COUNT(*) AS INT) AS total_count FROM (${resultsQuery}) AS results;
+    `;
+
+  return Promise.all([
+    db.query(query, [q, snippetStart + snippetStop, headlineOptions]),
+    db.query(countQuery, [q]),
+  ]).then(([{ rows }, countResult]) => {
+    const results = rows.map((result) => {
+      return { ...result, snippet: formatSnippet(result.snippet) };
+    });
+    return { results, total_count: countResult.rows[0].total_count };
+  });
+};
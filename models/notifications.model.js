@@ -0,0 +1,149 @@
+const db = require("../db/connection.js");
+const { deletedUsername } = require("./utils.js");
+
+const voteMilestones = [10, 25, 50, 100, 250, 500, 1000];
+
+const notificationColumns = `notifications.notification_id, notifications.type, notifications.actor, notifications.article_id, articles.title AS article_title, notifications.comment_id, notifications.milestone, notifications.read_at, notifications.created_at`;
+
+const checkInboxOwner = (username, user) => {
+  if (user.username !== username) {
+    return Promise.reject({
+      status: 403,
+      msg: "Forbidden - you can only see your own notifications",
+    });
+  }
+  return Promise.resolve();
+};
+
+// Tells the article's author about a new comment and, for a reply, the parent
+// comment's author. Someone who would get both only gets the reply, and nobody
+// is told about their own comment.
+exports.notifyNewComment = (
+  client,
+  { comment_id, article_id, author },
+  parent_comment_id
+) => {
+  const query = `
+    INSERT INTO notifications
+    (username, type, actor, article_id, comment_id)
+    SELECT DISTINCT ON (recipient) recipient, type, $1::VARCHAR, $2::INT, $3::INT
+    FROM (
+      SELECT author AS recipient, 'reply' AS type, 1 AS priority
+      FROM comments WHERE comment_id = $4
+      UNION ALL
+      SELECT author, 'new_comment', 2
+      FROM articles WHERE article_id = $2
+    ) AS recipients
+    WHERE recipient IS NOT NULL
+    AND recipient <> $1::VARCHAR
+    AND recipient <> $5::VARCHAR
+    ORDER BY recipient, priority;
+    `;
+  return client.query(query, [
+    author,
+    article_id,
+    comment_id,
+    parent_comment_id,
+    deletedUsername,
+  ]);
+};
+
+// row is the article or comment after the vote, with its author, article_id,
+// comment_id (for comments) and new votes total.
+exports.notifyVoteMilestones = (client, row, previousVotes) => {
+  const passed = voteMilestones.filter((milestone) => {
+    return previousVotes < milestone && row.votes >= milestone;
+  });
+  if (passed.length === 0 || !row.author || row.author === deletedUsername) {
+    return Promise.resolve();
+  }
+  const query = `
+    INSERT INTO notifications
+    (username, type, article_id, comment_id, milestone)
+    SELECT $1, 'vote_milestone', $2, $3, UNNEST($4::INT[])
+    ON CONFLICT (article_id, COALESCE(comment_id, 0), milestone)
+    WHERE type = 'vote_milestone'
+    DO NOTHING;
+    `;
+  return client.query(query, [
+    row.author,
+    row.article_id,
+    row.comment_id || null,
+    passed,
+  ]);
+};
+
+exports.fetchNotifications = (username, user, unread, limit, p) => {
+  limit = limit || 10;
+  p = p || 1;
+
+  const unreadClause = unread === "true" ? `AND read_at IS NULL` : ``;
+  const query = `
+    SELECT ${notificationColumns}
+    FROM notifications
+    JOIN articles ON notifications.article_id = articles.article_id
+    WHERE username = $1
+    AND articles.deleted_at IS NULL
+    ${unreadClause}
+    ORDER BY notifications.notification_id DESC
+    LIMIT ${limit} OFFSET ${(p - 1) * limit};
+    `;
+  const countQuery = `
+    SELECT
+    CAST(COUNT(*) FILTER (WHERE ${
+      unread === "true" ? "read_at IS NULL" : "TRUE"
+    }) AS INT) AS total_count,
+    CAST(COUNT(*) FILTER (WHERE read_at IS NULL) AS INT) AS unread_count
+    FROM notifications
+    JOIN articles ON notifications.article_id = articles.article_id
+    WHERE username = $1
+    AND articles.deleted_at IS NULL;
+    `;
+  return checkInboxOwner(username, user)
+    .then(() => {
+      return Promise.all([
+        db.query(query, [username]),
+        db.query(countQuery, [username]),
+      ]);
+    })
+    .then(([{ rows }, countResult]) => {
+      return { notifications: rows, ...countResult.rows[0] };
+    });
+};
+
+// Marking an already read notification leaves its original read_at alone.
+exports.markNotificationRead = (username, user, notification_id) => {
+  const query = `
+    UPDATE notifications
+    SET read_at = COALESCE(read_at, NOW())
+    FROM articles
+    WHERE notifications.article_id = articles.article_id
+    AND notification_id = $1 AND username = $2
+    AND articles.deleted_at IS NULL
+    RETURNING ${notificationColumns};
+    `;
+  return checkInboxOwner(username, user)
+    .then(() => db.query(query, [notification_id, username]))
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: "Notification not found" });
+      }
+      return rows[0];
+    });
+};
+
+exports.markAllNotificationsRead = (username, user) => {
+  const query = `
+    UPDATE notifications
+    SET read_at = NOW()
+    FROM articles
+    WHERE notifications.article_id = articles.article_id
+    AND username = $1 AND read_at IS NULL
+    AND articles.deleted_at IS NULL;
+    `;
+  return checkInboxOwner(username, user)
+    .then(() => db.query(query, [username]))
+    .then(({ rowCount }) => {
+      return rowCount;
+    });
+};
@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+
+// The LCS table below needs a cell for every pair of words left once the
+// shared start and end are trimmed, so bigger rewrites than this are refused.
+const maxDiffCells = 1000000;
+
+exports.maxDiffCells = maxDiffCells;
+
+// Returns null when the changed parts are too big to diff.
+exports.diffWords = (before, after) => {
+  const beforeWords = before.split(/(\s+)/).filter((word) => word !== "");
+  const afterWords = after.split(/(\s+)/).filter((word) => word !== "");
+
+  let start = 0;
+  while (
+    start < beforeWords.length &&
+    start < afterWords.length &&
+    beforeWords[start] === afterWords[start]
+  ) {
+    start++;
+  }
+  let beforeEnd = beforeWords.length;
+  let afterEnd = afterWords.length;
+  while (
+    beforeEnd > start &&
+    afterEnd > start &&
+    beforeWords[beforeEnd - 1] === afterWords[afterEnd - 1]
+  ) {
+    beforeEnd--;
+    afterEnd--;
+  }
+  const beforeMiddle = beforeWords.slice(start, beforeEnd);
+  const afterMiddle = afterWords.slice(start, afterEnd);
+  if ((beforeMiddle.length + 1) * (afterMiddle.length + 1) > maxDiffCells) {
+    return null;
+  }
+
+  const lcs = beforeMiddle.map(() => new Array(afterMiddle.length + 1).fill(0));
+  lcs.push(new Array(afterMiddle.length + 1).fill(0));
+  for (let i = beforeMiddle.length - 1; i >= 0; i--) {
+    for (let j = afterMiddle.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        beforeMiddle[i] === afterMiddle[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  const addPart = (type, value) => {
+    const lastPart = diff[diff.length - 1];
+    if (lastPart && lastPart.type === type) {
+      lastPart.value += value;
+    } else {
+      diff.push({ type, value });
+    }
+  };
+
+  beforeWords.slice(0, start).forEach((word) => addPart("unchanged", word));
+  let i = 0;
+  let j = 0;
+  while (i < beforeMiddle.length && j < afterMiddle.length) {
+    if (beforeMiddle[i] === afterMiddle[j]) {
+      addPart("unchanged", beforeMiddle[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      addPart("removed", beforeMiddle[i]);
+      i++;
+    } else {
+      addPart("added", afterMiddle[j]);
+      j++;
+    }
+  }
+  while (i < beforeMiddle.length) addPart("removed", beforeMiddle[i++]);
+  while (j < afterMiddle.length) addPart("added", afterMiddle[j++]);
+  beforeWords.slice(beforeEnd).forEach((word) => addPart("unchanged", word));
+
+  return diff;
+};
+
+exports.deletedUsername = "deleted_user";
+
+// ts_headline copies the stored text into the snippet as it is, so search asks
+// it to wrap matches in these control characters (stripped from the text
+// first) and formatSnippet escapes the rest before turning them into <mark>.
+exports.snippetStart = "\u0002";
+exports.snippetStop = "\u0003";
+
+exports.formatSnippet = (snippet) => {
+  return snippet
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/\u0002/g, "<mark>")
+    .replace(/\u0003/g, "</mark>");
+};
+
+exports.isHttpUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+};
+
+exports.validateUserFields = ({ username, avatar_url }) => {
+  if (
+    username !== undefined &&
+    (typeof username !== "string" || !/^[a-z0-9_]{3,30}$/.test(username))
+  ) {
+    return "Invalid username - use 3 to 30 lowercase letters, numbers and underscores";
+  }
+  if (username === exports.deletedUsername) {
+    return "Username is reserved";
+  }
+  if (
+    avatar_url !== undefined &&
+    avatar_url !== null &&
+    !exports.isHttpUrl(avatar_url)
+  ) {
+    return "Invalid avatar_url - must be an http or https URL";
+  }
+  return null;
+};
+
+// The tag carries both the content_version and the version, e.g.
+// "article-1-2.7", so it changes with votes while If-Match can still tell
+// whether the content itself has been edited.
+exports.versionTag = (target, id, contentVersion, version) => {
+  return `"${target}-${id}-${contentVersion}.${version}"`;
+};
+
+// A strong ETag for a list, built from whatever identifies its current state
+// (the query it was fetched with and a summary of the rows behind it).
+exports.collectionTag = (name, parts) => {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(parts))
+    .digest("base64url");
+  return `"${name}-${hash}"`;
+};
+
+// Whether an If-Match header names the row's current content, whatever version
+// it was fetched at. Weak W/"..." tags never match.
+exports.matchesContentVersion = (header, target, id, contentVersion) => {
+  const prefix = `"${target}-${id}-${contentVersion}.`;
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => {
+      return tag === "*" || (tag.startsWith(prefix) && /\.\d+"$/.test(tag));
+    });
+};
+
+// Seconds to wait before retry number attempt, doubling each time from base
+// up to max.
+exports.backoffDelay = (attempt, base = 30, max = 3600) => {
+  return Math.min(base * 2 ** (attempt - 1), max);
+};
@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+const db = require("../db/connection.js");
+
+const webhookEvents = [
+  "article.created",
+  "comment.created",
+  "comment.deleted",
+  "votes.changed",
+];
+
+exports.webhookEvents = webhookEvents;
+
+const webhookColumns = `webhook_id, url, events, created_by, created_at`;
+const deliveryColumns = `delivery_id, webhook_id, event, payload, status, attempts, next_attempt_at, last_attempt_at, response_status, last_error, delivered_at, created_at`;
+
+// How long a claimed delivery is left alone before another dispatcher may
+// pick it up, in case the one sending it died part way through.
+const claimLease = "1 minute";
+
+exports.insertWebhook = ({ url, events }, username) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const query = `
+    INSERT INTO webhooks
+    (url, events, secret, created_by)
+    VALUES
+    ($1, $2, $3, $4)
+    RETURNING ${webhookColumns}, secret;
+    `;
+  return db
+    .query(query, [url, [...new Set(events)], secret, username])
+    .then(({ rows }) => {
+      return rows[0];
+    });
+};
+
+exports.fetchWebhooks = () => {
+  return db
+    .query(`SELECT ${webhookColumns} FROM webhooks ORDER BY webhook_id;`)
+    .then(({ rows }) => {
+      return rows;
+    });
+};
+
+exports.fetchWebhook = (webhook_id) => {
+  return db
+    .query(`SELECT ${webhookColumns} FROM webhooks WHERE webhook_id = $1;`, [
+      webhook_id,
+    ])
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: "Webhook not found" });
+      }
+      return rows[0];
+    });
+};
+
+exports.removeWebhook = (webhook_id) => {
+  return db
+    .query(`DELETE FROM webhooks WHERE webhook_id = $1;`, [webhook_id])
+    .then(({ rowCount }) => {
+      if (rowCount === 0) {
+        return Promise.reject({ status: 404, msg: "Webhook not found" });
+      }
+    });
+};
+
+exports.fetchDeliveries = (webhook_id, status, limit, p) => {
+  limit = limit || 10;
+  p = p || 1;
+
+  const values = [webhook_id];
+  let whereClause = `WHERE webhook_id = $1`;
+  if (status) {
+    values.push(status);
+    whereClause += ` AND status = $2`;
+  }
+
+  const query = `
+    SELECT ${deliveryColumns} FROM webhook_deliveries
+    ${whereClause}
+    ORDER BY delivery_id DESC
+    LIMIT ${limit} OFFSET ${(p - 1) * limit};
+    `;
+  const countQuery = `
+    SELECT CAST(COUNT(*) AS INT) AS total_count FROM webhook_deliveries
+    ${whereClause};
+    `;
+  return Promise.all([
+    db.query(query, values),
+    db.query(countQuery, values),
+  ]).then(([{ rows }, countResult]) => {
+    return { deliveries: rows, total_count: countResult.rows[0].total_count };
+  });
+};
+
+// Called inside the transaction making the change, so a rolled back change
+// never reaches a receiver.
+exports.queueDeliveries = (client, event, data) => {
+  const query = `
+    INSERT INTO webhook_deliveries
+    (webhook_id, event, payload)
+    SELECT webhook_id, $1::VARCHAR, $2 FROM webhooks
+    WHERE $1::VARCHAR = ANY(events);
+    `;
+  return client.query(query, [event, data]);
+};
+
+// Takes up to limit due deliveries and pushes their next attempt back by the
+// lease. SKIP LOCKED lets several server processes dispatch at once without
+// sending the same delivery twice.
+exports.claimDueDeliveries = (limit) => {
+  const query = `
+    UPDATE webhook_deliveries
+    SET next_attempt_at = NOW() + INTERVAL '${claimLease}'
+    FROM webhooks
+    WHERE webhooks.webhook_id = webhook_deliveries.webhook_id
+    AND delivery_id IN (
+      SELECT delivery_id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at, delivery_id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING webhook_deliveries.delivery_id, webhook_deliveries.event, webhook_deliveries.payload, webhook_deliveries.attempts, webhook_deliveries.created_at, webhooks.url, webhooks.secret;
+    `;
+  return db.query(query, [limit]).then(({ rows }) => {
+    return rows;
+  });
+};
+
+// retryDelay is the number of seconds until the next attempt, or null when
+// there are no attempts left and the delivery has failed for good.
+exports.recordDeliveryAttempt = (
+  delivery_id,
+  { delivered, response_status, last_error, retryDelay }
+) => {
+  const query = `
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1,
+    last_attempt_at = NOW(),
+    response_status = $2,
+    last_error = $3,
+    status = CASE
+      WHEN $4 THEN 'delivered'
+      WHEN $5::INT IS NULL THEN 'failed'
+      ELSE 'pending'
+    END,
+    delivered_at = CASE WHEN $4 THEN NOW() END,
+    next_attempt_at = NOW() + make_interval(secs => COALESCE($5::INT, 0))
+    WHERE delivery_id = $1;
+    `;
+  return db.query(query, [
+    delivery_id,
+    response_status,
+    last_error,
+    delivered,
+    delivered ? 0 : retryDelay,
+  ]);
+};
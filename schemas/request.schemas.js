@@ -0,0 +1,339 @@
+const { webhookEvents } = require("../models/webhooks.model.js");
+const { validateUserFields } = require("../models/utils.js");
+const { checkWebhookUrl } = require("../webhooks/targets.js");
+
+// One schema per controller, applied by validateRequest in app.js. See
+// controllers/validation.controller.js for the rules a field can use.
+
+// The largest value an INT column holds. Postgres throws an out of range error
+// for anything bigger rather than just finding no rows.
+const maxInt = 2147483647;
+
+const positiveId = { required: true, type: "integer", min: 1, max: maxInt };
+
+const orderQuery = {
+  order: { oneOf: ["asc", "desc"], msg: "Invalid order query" },
+};
+
+const sortQuery = (columns) => {
+  return { sort_by: { oneOf: columns, msg: "Invalid sort query" } };
+};
+
+const pageQuery = {
+  limit: { type: "integer", min: 1, max: 100, msg: "Invalid limit query" },
+  p: { type: "integer", min: 1, max: maxInt, msg: "Invalid page query" },
+};
+
+const revisionQuery = {
+  from: { type: "integer", min: 1, max: maxInt, msg: "Invalid revision query" },
+  to: { type: "integer", min: 1, max: maxInt, msg: "Invalid revision query" },
+};
+
+// inc_votes is the original name for vote and is still accepted.
+const voteField = {
+  inc_votes: {
+    oneOf: [1, -1, 0],
+    msg: "Invalid inc_votes - must be 1, -1 or 0",
+  },
+  vote: { oneOf: [1, -1, 0], msg: "Invalid vote - must be 1, -1 or 0" },
+};
+
+const nonEmptyString = { type: "string", nonEmpty: true };
+
+const slugPattern = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const usernameParam = { username: { required: true, type: "string" } };
+
+const username = {
+  type: "string",
+  check: (value) => validateUserFields({ username: value }),
+};
+
+const avatarUrl = {
+  type: "string",
+  check: (value) => validateUserFields({ avatar_url: value }),
+};
+
+const newPassword = {
+  required: true,
+  type: "string",
+  minLength: 8,
+  msg: "Password must be at least 8 characters",
+};
+
+const articleSortColumns = [
+  "author",
+  "title",
+  "topic",
+  "body",
+  "votes",
+  "created_at",
+  "comment_count",
+  "article_img_url",
+];
+
+const commentSortColumns = ["votes", "created_at"];
+
+exports.getTopics = {
+  query: {
+    ...sortQuery([
+      "slug",
+      "article_count",
+      "comment_count",
+      "total_votes",
+      "latest_article_at",
+    ]),
+    ...orderQuery,
+  },
+};
+
+exports.getTopic = {
+  params: { slug: { required: true, type: "string" } },
+};
+
+exports.postTopic = {
+  body: {
+    slug: {
+      required: true,
+      type: "string",
+      pattern: slugPattern,
+      msg: "Invalid slug - use lowercase letters, numbers and single hyphens",
+    },
+    description: { required: true, ...nonEmptyString },
+  },
+  missingMsg: "Missing required fields - topic could not be added",
+};
+
+exports.patchTopic = {
+  body: { description: { required: true, ...nonEmptyString } },
+  missingMsg: "Missing required fields - topic could not be updated",
+};
+
+exports.deleteTopic = {
+  query: {
+    reassign_to: {
+      type: "string",
+      pattern: slugPattern,
+      msg: "Invalid reassign_to - must be a topic slug",
+    },
+  },
+};
+
+exports.getArticles = {
+  query: {
+    topic: { type: "string" },
+    author: { type: "string" },
+    ...sortQuery(articleSortColumns),
+    ...orderQuery,
+    ...pageQuery,
+  },
+};
+
+exports.postArticle = {
+  body: {
+    title: { required: true, ...nonEmptyString },
+    body: { required: true, ...nonEmptyString },
+    topic: { required: true, ...nonEmptyString },
+    article_img_url: { type: "string" },
+    // Older clients still send the author; the token decides who it is.
+    author: { type: "string" },
+  },
+  missingMsg: "Missing required fields - article could not be added",
+};
+
+exports.getArticleId = {
+  params: { article_id: positiveId },
+};
+
+exports.getComments = {
+  params: { article_id: positiveId },
+  query: {
+    ...sortQuery(commentSortColumns),
+    ...orderQuery,
+    ...pageQuery,
+    format: { oneOf: ["flat", "tree"], msg: "Invalid format query" },
+    depth: { type: "integer", min: 1, max: maxInt, msg: "Invalid depth query" },
+  },
+};
+
+exports.postComment = {
+  params: { article_id: positiveId },
+  body: {
+    body: {
+      required: true,
+      ...nonEmptyString,
+      msg: "Empty body - comment could not be added",
+    },
+    parent_comment_id: { type: "integer", min: 1, max: maxInt },
+    // Older clients still send the username; the token decides who it is.
+    username: { type: "string" },
+  },
+  missingMsg: "Missing required fields - comment could not be added",
+};
+
+exports.patchArticle = {
+  params: { article_id: positiveId },
+  body: { ...voteField, title: nonEmptyString, body: nonEmptyString },
+  requireOneOf: ["inc_votes", "vote", "title", "body"],
+};
+
+exports.getArticleEvents = {
+  params: { article_id: positiveId },
+};
+
+exports.getArticleRevisions = {
+  params: { article_id: positiveId },
+  query: revisionQuery,
+};
+
+exports.deleteArticle = {
+  params: { article_id: positiveId },
+  query: { soft: { oneOf: ["true", "false"], msg: "Invalid soft query" } },
+};
+
+exports.deleteComment = {
+  params: { comment_id: positiveId },
+};
+
+exports.patchComment = {
+  params: { comment_id: positiveId },
+  body: { ...voteField, body: nonEmptyString },
+  requireOneOf: ["inc_votes", "vote", "body"],
+};
+
+exports.getCommentRevisions = {
+  params: { comment_id: positiveId },
+  query: revisionQuery,
+};
+
+exports.getUsers = {};
+
+exports.getSingleUser = {
+  params: usernameParam,
+};
+
+exports.postUser = {
+  body: {
+    username: { required: true, ...username },
+    name: { required: true, ...nonEmptyString },
+    avatar_url: avatarUrl,
+    password: newPassword,
+  },
+  missingMsg: "Missing required fields - user could not be added",
+};
+
+exports.patchUser = {
+  body: { name: nonEmptyString, avatar_url: avatarUrl },
+  requireOneOf: ["name", "avatar_url"],
+};
+
+exports.deleteUser = {
+  params: usernameParam,
+};
+
+exports.getUserVotes = {
+  params: usernameParam,
+};
+
+exports.getUserArticles = {
+  query: { ...sortQuery(articleSortColumns), ...orderQuery, ...pageQuery },
+};
+
+exports.getUserComments = {
+  query: { ...sortQuery(commentSortColumns), ...orderQuery, ...pageQuery },
+};
+
+exports.getNotifications = {
+  query: {
+    unread: { oneOf: ["true", "false"], msg: "Invalid unread query" },
+    ...pageQuery,
+  },
+};
+
+exports.patchNotifications = {
+  params: usernameParam,
+  body: {},
+};
+
+exports.patchNotification = {
+  params: { notification_id: positiveId },
+  body: {},
+};
+
+exports.getSearch = {
+  query: {
+    q: {
+      required: true,
+      ...nonEmptyString,
+      msg: "Search query required",
+      missingMsg: "Search query required",
+    },
+    ...pageQuery,
+  },
+};
+
+exports.getArticlesFeed = {
+  params: {
+    format: {
+      required: true,
+      oneOf: ["rss", "atom"],
+      msg: "Invalid feed format - use rss or atom",
+    },
+  },
+  query: { limit: pageQuery.limit },
+};
+
+exports.postRegister = {
+  body: {
+    username: { required: true, ...username },
+    name: { required: true, ...nonEmptyString },
+    avatar_url: avatarUrl,
+    password: newPassword,
+  },
+  missingMsg: "Missing required fields - user could not be registered",
+};
+
+exports.postLogin = {
+  body: {
+    username: { required: true, type: "string" },
+    password: { required: true, type: "string" },
+  },
+  missingMsg: "Missing required fields - could not log in",
+};
+
+exports.getWebhooks = {};
+
+exports.postWebhook = {
+  body: {
+    url: {
+      required: true,
+      type: "string",
+      check: checkWebhookUrl,
+    },
+    events: {
+      required: true,
+      type: "array",
+      nonEmpty: true,
+      items: { oneOf: webhookEvents },
+      msg: `Invalid events - must be a non-empty list of ${webhookEvents.join(
+        ", "
+      )}`,
+    },
+  },
+  missingMsg: "Missing required fields - webhook could not be added",
+};
+
+exports.deleteWebhook = {
+  params: { webhook_id: positiveId },
+};
+
+exports.getWebhookDeliveries = {
+  params: { webhook_id: positiveId },
+  query: {
+    status: {
+      oneOf: ["pending", "delivered", "failed"],
+      msg: "Invalid status query",
+    },
+    ...pageQuery,
+  },
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const {
+  claimDueDeliveries,
+  recordDeliveryAttempt,
+} = require("../models/webhooks.model.js");
+const { backoffDelay } = require("../models/utils.js");
+const { checkTargetAddress, lookupPublicAddress } = require("./targets.js");
+
+const maxAttempts = 8;
+const batchSize = 20;
+const timeoutMs = 10000;
+
+// Receivers recompute this over the X-Webhook-Timestamp header and the raw
+// body with their webhook's secret, and can reject old timestamps to stop
+// replays.
+exports.signPayload = (secret, timestamp, body) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+};
+
+const postJson = (url, headers, body) => {
+  return checkTargetAddress(url).then(() => {
+    return new Promise((resolve, reject) => {
+      const { request } = url.startsWith("https:") ? https : http;
+      const req = request(
+        url,
+        {
+          method: "POST",
+          headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+          timeout: timeoutMs,
+          lookup: lookupPublicAddress,
+        },
+        (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        }
+      );
+      req.on("timeout", () => {
+        req.destroy(new Error(`No response after ${timeoutMs / 1000} seconds`));
+      });
+      req.on("error", reject);
+      req.end(body);
+    });
+  });
+};
+
+const deliver = ({
+  delivery_id,
+  event,
+  payload,
+  attempts,
+  created_at,
+  url,
+  secret,
+}) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    delivery_id,
+    event,
+    created_at,
+    data: payload,
+  });
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "nc-news-webhooks",
+    "X-Webhook-Event": event,
+    "X-Webhook-Delivery": delivery_id,
+    "X-Webhook-Timestamp": timestamp,
+    "X-Webhook-Signature": `sha256=${exports.signPayload(
+      secret,
+      timestamp,
+      body
+    )}`,
+  };
+
+  return postJson(url, headers, body)
+    .then(
+      (status) => {
+        const delivered = status >= 200 && status < 300;
+        return {
+          delivered,
+          response_status: status,
+          last_error: delivered ? null : `Receiver responded with ${status}`,
+        };
+      },
+      (err) => {
+        return {
+          delivered: false,
+          response_status: null,
+          last_error: err.message,
+        };
+      }
+    )
+    .then((result) => {
+      const attempt = attempts + 1;
+      return recordDeliveryAttempt(delivery_id, {
+        ...result,
+        retryDelay: attempt >= maxAttempts ? null : backoffDelay(attempt),
+      });
+    });
+};
+
+// Sends every delivery that is due and resolves with how many were tried.
+exports.deliverDueWebhooks = () => {
+  return claimDueDeliveries(batchSize).then((deliveries) => {
+    return Promise.all(deliveries.map(deliver)).then(() => deliveries.length);
+  });
+};
+
+// Polls for due deliveries until the returned function is called. A run that
+// is still sending when the next tick comes round is left to finish.
+exports.startWebhookDispatcher = (intervalMs = 5000) => {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    exports
+      .deliverDueWebhooks()
+      .catch((err) => {
+        console.error("Webhook delivery failed:", err.message);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  return () => clearInterval(timer);
+};
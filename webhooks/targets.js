@@ -0,0 +1,95 @@
+const dns = require("dns");
+const net = require("net");
+const { isHttpUrl } = require("../models/utils.js");
+
+// Addresses a webhook must not reach: this host, the local network and the
+// cloud metadata service, so an admin account cannot be used to probe them.
+const privateAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => {
+  privateAddresses.addSubnet(address, prefix, "ipv4");
+});
+[
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => {
+  privateAddresses.addSubnet(address, prefix, "ipv6");
+});
+
+// Set to "true" to allow them anyway, e.g. when the receiver runs locally.
+const allowPrivateTargets = () => {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === "true";
+};
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return privateAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+exports.isPrivateAddress = isPrivateAddress;
+
+const hostnameOf = (url) => {
+  return new URL(url).hostname.replace(/^\[|\]$/g, "");
+};
+
+// Catches the targets that can be ruled out without DNS. Hostnames are only
+// checked once resolved, when each delivery is sent.
+exports.checkWebhookUrl = (url) => {
+  if (!isHttpUrl(url)) return "Invalid url - must be an http or https URL";
+  const hostname = hostnameOf(url).toLowerCase();
+  if (
+    !allowPrivateTargets() &&
+    (isPrivateAddress(hostname) ||
+      hostname === "localhost" ||
+      hostname.endsWith(".localhost"))
+  ) {
+    return "Invalid url - webhooks cannot target private or loopback addresses";
+  }
+  return null;
+};
+
+// Rejects with an error naming the address when the url is an IP literal in a
+// private range. http skips the lookup below for IP literals.
+exports.checkTargetAddress = (url) => {
+  const hostname = hostnameOf(url);
+  if (!allowPrivateTargets() && isPrivateAddress(hostname)) {
+    return Promise.reject(
+      new Error(`Refusing to send to private address ${hostname}`)
+    );
+  }
+  return Promise.resolve();
+};
+
+// A dns.lookup for http.request that refuses private addresses. Checking the
+// address actually connected to means a hostname cannot pass at registration
+// and later resolve somewhere private.
+exports.lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked && !allowPrivateTargets()) {
+      return callback(
+        new Error(
+          `Refusing to send to ${hostname} - it resolves to private address ${blocked.address}`
+        )
+      );
+    }
+    callback(null, address, family);
+  });
+};